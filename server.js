@@ -3,27 +3,134 @@ import express from "express";
 import morgan from "morgan";
 import fetch from "node-fetch";
 import dotenv from "dotenv";
+import fs from "fs";
+import path from "path";
+import { AsyncLocalStorage } from "async_hooks";
+import { createHash, createHmac, randomUUID, timingSafeEqual } from "crypto";
+import { fileURLToPath } from "url";
 dotenv.config();
 
 const app = express();
 
-// Accept JSON even when Infobip sends charset or vendor types
-app.use(express.json({ type: ["application/json", "application/*+json"] }));
-app.use(morgan("dev")); // concise request logs
-// --- CORS (allow the kiosk site only) ---
-const ALLOW_ORIGIN = "https://elitekutzkiosk.com";
+// ======= LOGGING (one JSON object per line; LOG_LEVEL=debug | info | warn | error) =======
+// log.info("msg", { fields }, err?) — extra args work like console.*: objects merge into the line,
+// an Error becomes `err`, anything else lands in `args`. Every line carries the request id (and location)
+// of whatever request/job it came from. Redaction happens here, so call sites don't have to remember:
+//   - phone numbers keep their last 4 digits
+//   - token/secret/authorization/api key fields and ?token= style URL params are dropped
+//   - message bodies (text, preview, body, ...) are replaced by their length
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LOG_LEVELS[String(process.env.LOG_LEVEL || "info").toLowerCase()] || LOG_LEVELS.info;
+const SECRET_KEY_RE = /token|secret|password|authorization|api_?key|signature/i;
+const BODY_KEY_RE = /^(text|preview|body|bodyText|providerBody|raw|cleanText|customMessage)$/i;
+const ID_KEY_RE = /(^id|Id|Ids)$/; // messageId, reqId, ... look like long digit runs but aren't phones
+
+const requestContext = new AsyncLocalStorage();  // { reqId }
+const locationContext = new AsyncLocalStorage(); // the shop a request/job is for (see LOCATIONS)
+
+function redactString(str, { phones = true } = {}) {
+  const out = String(str)
+    .replace(/([?&](?:token|secret|key|api_key|apikey|sig|signature)=)[^&\s"']+/gi, "$1[redacted]")
+    .replace(/\b(Bearer|App|Basic)\s+[A-Za-z0-9._~+/=-]{6,}/g, "$1 [redacted]");
+  return phones ? out.replace(/(?<![\w])\+?\d{6,11}(\d{4})(?!\d)/g, "***$1") : out;
+}
+
+function redact(value, key = "", depth = 0) {
+  if (value == null) return value;
+  if (key && SECRET_KEY_RE.test(key)) return "[redacted]";
+  if (key && BODY_KEY_RE.test(key) && typeof value === "string") return `[${value.length} chars]`;
+  if (typeof value === "string") return redactString(value, { phones: !ID_KEY_RE.test(key) });
+  if (typeof value !== "object") return value;
+  if (depth > 5) return "[…]";
+  if (value instanceof Error) {
+    const out = { name: value.name, message: redactString(value.message) };
+    if (LOG_LEVEL <= LOG_LEVELS.debug && value.stack) out.stack = redactString(value.stack);
+    return out;
+  }
+  if (Array.isArray(value)) return value.map(v => redact(v, key, depth + 1));
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redact(v, k, depth + 1)]));
+}
+
+function writeLog(level, msg, args) {
+  if (LOG_LEVELS[level] < LOG_LEVEL) return;
+  const fields = {};
+  const extra = [];
+  for (const a of args) {
+    if (a instanceof Error) fields.err = a;
+    else if (a && typeof a === "object" && !Array.isArray(a)) Object.assign(fields, a);
+    else if (a !== undefined) extra.push(a);
+  }
+  if (extra.length) fields.args = extra;
+
+  const line = {
+    time: new Date().toISOString(),
+    level,
+    msg: redactString(msg),
+    reqId: requestContext.getStore()?.reqId,
+    location: locationContext.getStore()?.id,
+    ...redact(fields)
+  };
+  (LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout).write(JSON.stringify(line) + "\n");
+}
+
+const log = {
+  debug: (msg, ...args) => writeLog("debug", msg, args),
+  info: (msg, ...args) => writeLog("info", msg, args),
+  warn: (msg, ...args) => writeLog("warn", msg, args),
+  error: (msg, ...args) => writeLog("error", msg, args)
+};
+
+function currentRequestId() {
+  return requestContext.getStore()?.reqId || null;
+}
+
+// Background work (outbox retries, scheduled jobs) re-enters the request id it was queued under
+function withRequestId(reqId, fn) {
+  return requestContext.run({ reqId: reqId || randomUUID() }, fn);
+}
+
+// Accept JSON even when Infobip sends charset or vendor types.
+// Keep the raw bytes too: inbound webhook signatures are computed over them.
+if (process.env.TRUST_PROXY) app.set("trust proxy", process.env.TRUST_PROXY);
+app.use(express.json({
+  type: ["application/json", "application/*+json"],
+  verify: (req, _res, buf) => { req.rawBody = buf; }
+}));
+
+// Request id: the caller's X-Request-Id if it sent one, else a fresh one; echoed back on the response.
+// (After the body parser: its stream callbacks would otherwise run outside this context.)
+app.use((req, res, next) => {
+  req.id = String(req.headers["x-request-id"] || "").trim().slice(0, 100) || randomUUID();
+  res.setHeader("X-Request-Id", req.id);
+  requestContext.run({ reqId: req.id }, next);
+});
 
+// Access log through the same logger; path only, since query strings can carry secrets (?token=)
+app.use(morgan((tokens, req, res) => {
+  const status = Number(tokens.status(req, res)) || 0;
+  const level = status >= 500 ? "error" : status >= 400 ? "warn" : "info";
+  writeLog(level, "http", [{
+    reqId: req.id,
+    method: req.method,
+    path: String(req.originalUrl || req.url).split("?")[0],
+    status,
+    ms: Number(tokens["response-time"](req, res)) || null,
+    bytes: Number(tokens.res(req, res, "content-length")) || 0
+  }]);
+  return null; // morgan writes nothing itself
+}));
+// --- CORS (allow the kiosk sites only: one origin per location, see LOCATIONS) ---
 app.use((req, res, next) => {
   const origin = req.headers.origin;
-  if (origin === ALLOW_ORIGIN) {
+  if (origin && LOCATIONS.some(l => l.allowOrigin === origin)) {
     res.setHeader("Access-Control-Allow-Origin", origin);
   }
   // if you want to allow local dev too, uncomment this:
   // if (origin === "http://localhost:5500") res.setHeader("Access-Control-Allow-Origin", origin);
 
   res.setHeader("Vary", "Origin");
-  res.setHeader("Access-Control-Allow-Methods", "POST,OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader("Access-Control-Allow-Methods", "GET,POST,PUT,DELETE,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, Idempotency-Key");
   res.setHeader("Access-Control-Max-Age", "600"); // cache preflight 10 min
   if (req.method === "OPTIONS") return res.sendStatus(204);
   next();
@@ -33,7 +140,154 @@ app.use((req, res, next) => {
 const BASE_URL = process.env.INFOBIP_BASE_URL;
 const API_KEY  = process.env.INFOBIP_API_KEY;
 const SENDER   = process.env.INFOBIP_SENDER;
+const KIOSK_API_URL = process.env.KIOSK_API_URL || "https://elitekutzkiosk.com/kiosk-api.php";
+const SMS_TRANSPORT = String(process.env.SMS_TRANSPORT || "infobip").trim().toLowerCase(); // infobip | twilio | memory | file
 const PORT     = process.env.PORT || 3000;
+const INFOBIP_TIMEOUT_MS = Number(process.env.INFOBIP_TIMEOUT_MS || 15000);
+// Public URL of /webhooks/infobip/delivery-reports; if set, each send asks Infobip to report there
+const INFOBIP_DLR_URL = process.env.INFOBIP_DLR_URL || "";
+const SMS_BATCH_MAX = Number(process.env.SMS_BATCH_MAX || 100); // destinations per provider request on fan-out
+const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), "data");
+
+// --- local persistence: small JSON files under DATA_DIR ---
+// Writes go to a temp file first, then rename, so a crash mid-write never leaves half a file.
+function loadJson(name, fallback) {
+  const file = path.join(DATA_DIR, name);
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    if (e.code !== "ENOENT") log.warn("[DATA] could not read file, starting empty", { file, err: e.message });
+    return fallback;
+  }
+}
+
+// Append-only log files (one JSON object per line) for data that grows with traffic
+function loadJsonLines(name) {
+  const file = path.join(DATA_DIR, name);
+  try {
+    return fs.readFileSync(file, "utf8").split("\n").filter(Boolean).flatMap(line => {
+      try { return [JSON.parse(line)]; } catch (_) { return []; } // skip a torn last line
+    });
+  } catch (e) {
+    if (e.code !== "ENOENT") log.warn("[DATA] could not read file, starting empty", { file, err: e.message });
+    return [];
+  }
+}
+
+function appendJsonLine(name, obj) {
+  const file = path.join(DATA_DIR, name);
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.appendFileSync(file, JSON.stringify(obj) + "\n");
+  } catch (e) {
+    log.error("[DATA] failed to append", { file }, e);
+  }
+}
+
+function rewriteJsonLines(name, rows) {
+  const file = path.join(DATA_DIR, name);
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.writeFileSync(file + ".tmp", rows.map(r => JSON.stringify(r)).join("\n") + (rows.length ? "\n" : ""));
+    fs.renameSync(file + ".tmp", file);
+  } catch (e) {
+    log.error("[DATA] failed to write", { file }, e);
+  }
+}
+
+function saveJson(name, data) {
+  const file = path.join(DATA_DIR, name);
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.writeFileSync(file + ".tmp", JSON.stringify(data, null, 2));
+    fs.renameSync(file + ".tmp", file);
+  } catch (e) {
+    log.error("[DATA] failed to write", { file }, e);
+  }
+}
+
+// ======= METRICS (Prometheus text format at /metrics) =======
+// Hand-rolled counters/histograms: label sets stay small (event type, result, keyword, location).
+const metricRegistry = [];
+
+function labelKey(labels) {
+  return Object.keys(labels).sort().map(k => `${k}="${String(labels[k]).replace(/["\\\n]/g, "_")}"`).join(",");
+}
+
+function createCounter(name, help) {
+  const series = new Map(); // labelKey -> value
+  const metric = {
+    name, help, type: "counter",
+    inc(labels = {}, n = 1) {
+      const k = labelKey(labels);
+      series.set(k, (series.get(k) || 0) + n);
+    },
+    render: () => [...series].map(([k, v]) => `${name}{${k}} ${v}`)
+  };
+  metricRegistry.push(metric);
+  return metric;
+}
+
+function createGauge(name, help, collect) {
+  const metric = {
+    name, help, type: "gauge",
+    render: () => Object.entries(collect()).map(([k, v]) => `${name}${k ? `{${k}}` : ""} ${v}`)
+  };
+  metricRegistry.push(metric);
+  return metric;
+}
+
+function createHistogram(name, help, buckets = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 15]) {
+  const series = new Map(); // labelKey -> { counts[], sum, count }
+  const metric = {
+    name, help, type: "histogram",
+    observe(labels, seconds) {
+      const k = labelKey(labels);
+      const h = series.get(k) || { counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((b, i) => { if (seconds <= b) h.counts[i]++; });
+      h.sum += seconds;
+      h.count++;
+      series.set(k, h);
+    },
+    render: () => [...series].flatMap(([k, h]) => {
+      const sep = k ? "," : "";
+      return [
+        ...buckets.map((b, i) => `${name}_bucket{${k}${sep}le="${b}"} ${h.counts[i]}`),
+        `${name}_bucket{${k}${sep}le="+Inf"} ${h.count}`,
+        `${name}_sum{${k}} ${h.sum}`,
+        `${name}_count{${k}} ${h.count}`
+      ];
+    })
+  };
+  metricRegistry.push(metric);
+  return metric;
+}
+
+// Runs fn and records how long it took (also when it throws); outcome is "ok" or "error"
+async function timed(histogram, labels, fn) {
+  const started = process.hrtime.bigint();
+  let outcome = "error";
+  try {
+    const result = await fn();
+    outcome = "ok";
+    return result;
+  } finally {
+    histogram.observe({ ...labels, outcome }, Number(process.hrtime.bigint() - started) / 1e9);
+  }
+}
+
+function renderMetrics() {
+  return metricRegistry.map(m => [
+    `# HELP ${m.name} ${m.help}`,
+    `# TYPE ${m.name} ${m.type}`,
+    ...m.render()
+  ].join("\n")).join("\n") + "\n";
+}
+
+const smsMessagesTotal = createCounter("sms_messages_total", "Outbound texts by event type and result (sent, failed, rejected, suppressed)");
+const smsSendSeconds = createHistogram("sms_send_duration_seconds", "Time spent in the SMS provider call");
+const kioskRequestSeconds = createHistogram("kiosk_request_duration_seconds", "Time spent calling the kiosk API");
+const smsInboundTotal = createCounter("sms_inbound_total", "Inbound texts by how they were handled (STOP, HELP, BARBER_*, CLIENT_*, ...)");
 
 /* ===== REPLACEMENT STARTS HERE ===== */
 // Normalize US numbers to +E.164 so lookups always match
@@ -57,112 +311,651 @@ const BARBER_NUMBERS = Object.fromEntries(
   Object.entries(RAW_BARBER_NUMBERS).map(([k, v]) => [normalizeUS(k), v])
 );
 
-async function lookupBarberByPhoneLive(phone) {
-  const normalized = normalizeUS(phone);
-  if (!normalized) return null;
+// ======= KIOSK CLIENT (timeouts, circuit breaker, lookup cache, local fallback) =======
+// Every call to a location's kiosk API goes through kioskRequest(). After KIOSK_BREAKER_THRESHOLD
+// failures in a row (timeouts, network errors, 5xx) the breaker opens and calls fail fast for
+// KIOSK_BREAKER_COOLDOWN_MS; then one call is let through to test the water (the others keep failing
+// fast while it's out). If it fails the breaker opens again, if it works the breaker closes.
+// A 4xx or a JSON answer counts as "the kiosk is up", even if it says no.
+const KIOSK_TIMEOUT_MS = Number(process.env.KIOSK_TIMEOUT_MS || 5000);
+const KIOSK_BREAKER_THRESHOLD = Number(process.env.KIOSK_BREAKER_THRESHOLD || 5);
+const KIOSK_BREAKER_COOLDOWN_MS = Number(process.env.KIOSK_BREAKER_COOLDOWN_MS || 30000);
+const KIOSK_BARBER_CACHE_MS = Number(process.env.KIOSK_BARBER_CACHE_MS || 5 * 60 * 1000);
+const KIOSK_CLIENT_CACHE_MS = Number(process.env.KIOSK_CLIENT_CACHE_MS || 15000); // positions move fast
+
+const CLIENT_LOCALE_MEMORY_MAX = 5000;
+
+// location id -> { failures, openUntil, probing, cache: Map(key -> { value, expiresAt }), clientLocales: Map(phone -> locale) }
+const kioskStates = new Map();
+
+function kioskState() {
+  const id = currentLocation().id;
+  if (!kioskStates.has(id)) kioskStates.set(id, { failures: 0, openUntil: 0, probing: false, cache: new Map(), clientLocales: new Map() });
+  return kioskStates.get(id);
+}
 
-  try {
-    const url =
-      "https://elitekutzkiosk.com/kiosk-api.php?endpoint=barber-lookup-by-phone"
-      + "&phone=" + encodeURIComponent(normalized)
-      + "&token=" + encodeURIComponent(String(process.env.KIOSK_TOKEN || ""));
+// The last language we heard for a client (kiosk lookups, /events payloads), so a "you're not on the
+// list" reply is still in their language after the kiosk has forgotten them. In memory only.
+function rememberClientLocale(phone, language) {
+  const p = normalizeUS(phone);
+  if (!p || !language) return;
+  const locales = kioskState().clientLocales;
+  locales.delete(p); // re-insert so the oldest is first
+  locales.set(p, normalizeLocale(language));
+  if (locales.size > CLIENT_LOCALE_MEMORY_MAX) locales.delete(locales.keys().next().value);
+}
 
-    console.log("lookupBarberByPhoneLive ->", { phone: normalized, url });
+function knownClientLocale(phone) {
+  return kioskState().clientLocales.get(normalizeUS(phone)) || DEFAULT_LOCALE;
+}
 
-    const r = await fetch(url, {
-      method: "GET",
-      headers: {
-        "Accept": "application/json"
-      }
-    });
+function kioskCircuitOpen() {
+  return kioskState().openUntil > Date.now();
+}
 
-    const text = await r.text();
+// -> { ok, status, body, json } | { ok: false, error, circuitOpen? }; never throws
+async function kioskRequest(endpoint, { method = "GET", query = {}, body } = {}) {
+  const loc = currentLocation();
+  const state = kioskState();
+  if (!loc.kioskUrl) return { ok: false, error: "no kioskUrl configured" };
+  if (state.openUntil > Date.now() || state.probing) {
+    log.warn("kiosk circuit open; skipping call", { endpoint, retryAt: new Date(state.openUntil).toISOString(), probing: state.probing });
+    return { ok: false, error: "kiosk circuit open", circuitOpen: true };
+  }
+  // cooldown over (half-open): this call is the one probe
+  const probe = state.openUntil > 0;
+  if (probe) state.probing = true;
 
-    if (!r.ok) {
-      console.warn("lookupBarberByPhoneLive FAIL", r.status, text);
-      return null;
+  const params = new URLSearchParams({ endpoint, ...query });
+  if (method === "GET") params.set("token", String(loc.kioskToken || ""));
+  try {
+    const r = await timed(kioskRequestSeconds, { endpoint }, () => fetch(`${loc.kioskUrl}?${params}`, {
+      method,
+      signal: AbortSignal.timeout(KIOSK_TIMEOUT_MS),
+      headers: {
+        Accept: "application/json",
+        ...(method === "GET" ? {} : { "Content-Type": "application/json", Authorization: "Bearer " + String(loc.kioskToken || "") })
+      },
+      ...(body !== undefined ? { body: JSON.stringify(body) } : {})
+    }));
+    const text = await r.text(); // read body either way
+    let json = null;
+    try { json = JSON.parse(text); } catch (_) {}
+
+    if (r.status >= 500) throw Object.assign(new Error(`kiosk HTTP ${r.status}`), { response: { status: r.status, body: text, json } });
+    state.failures = 0;
+    state.openUntil = 0;
+    if (!r.ok) log.warn("kiosk request FAIL", { endpoint, status: r.status, body: text });
+    return { ok: r.ok, status: r.status, body: text, json };
+  } catch (e) {
+    state.failures++;
+    if (state.failures >= KIOSK_BREAKER_THRESHOLD) {
+      state.openUntil = Date.now() + KIOSK_BREAKER_COOLDOWN_MS;
+      log.error("kiosk circuit opened", { endpoint, failures: state.failures, until: new Date(state.openUntil).toISOString() });
     }
+    log.warn("kiosk request ERROR", { endpoint, failures: state.failures }, e);
+    return { ok: false, error: String(e?.message || e), ...(e.response || {}) };
+  } finally {
+    if (probe) state.probing = false;
+  }
+}
+
+async function cachedKioskLookup(key, ttlMs, load) {
+  const cache = kioskState().cache;
+  const hit = cache.get(key);
+  if (hit && hit.expiresAt > Date.now()) return hit.value;
+  const value = await load();
+  // only cache the kiosk's answers: never failures, nor the local fallback (the kiosk may be back next time)
+  if (value && !value.unavailable && value.source !== "local") cache.set(key, { value, expiresAt: Date.now() + ttlMs });
+  return value;
+}
+
+// What we know locally when the kiosk can't be asked: the roster, then this location's BARBER_NUMBERS
+function localBarberByPhone(phone) {
+  const b = findBarberByPhone(phone);
+  if (b) return b.active === false ? null : { id: b.id, name: b.name, phone: b.phone, active: true, source: "local" };
+  const name = currentLocation().barberNumbers[phone];
+  if (!name) return null;
+  const id = name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+  return { id, name, phone, active: true, source: "local" };
+}
+
+// -> { id, name, phone, active, source } or null. The kiosk's answer wins; if the kiosk can't
+// answer (down, timing out, circuit open, garbage) we fall back to the local roster rather than
+// telling a known barber their number isn't recognized.
+async function lookupBarberByPhoneLive(phone) {
+  const normalized = normalizeUS(phone);
+  if (!normalized) return null;
+
+  return cachedKioskLookup(`barber:${normalized}`, KIOSK_BARBER_CACHE_MS, async () => {
+    log.info("lookupBarberByPhoneLive ->", { phone: normalized });
+    const r = await kioskRequest("barber-lookup-by-phone", { query: { phone: normalized } });
 
-    let j = null;
-    try { j = JSON.parse(text); } catch (_) {}
+    if (!r.ok || !r.json) {
+      const local = localBarberByPhone(normalized);
+      log.warn("lookupBarberByPhoneLive: kiosk unavailable, using local roster", { phone: normalized, found: !!local, error: r.error || r.status });
+      return local;
+    }
 
-    if (!j || j.ok !== true || !j.barber) {
-      console.warn("lookupBarberByPhoneLive bad payload", text);
+    const j = r.json;
+    if (j.ok !== true || !j.barber) {
+      log.info("lookupBarberByPhoneLive: kiosk doesn't know this number", { phone: normalized });
       return null;
     }
 
-    return {
+    const barber = {
       id: String(j.barber.id || "").trim(),
       name: String(j.barber.name || "").trim(),
       phone: String(j.barber.phone || "").trim(),
-      active: !!j.barber.active
+      active: !!j.barber.active,
+      source: "kiosk"
     };
-  } catch (e) {
-    console.warn("lookupBarberByPhoneLive ERROR", e);
-    return null;
-  }
+    syncBarberFromKiosk(barber);
+    return barber;
+  });
+}
+
+// Same idea for clients: where are they in line, who are they waiting on
+// -> { id, name, phone, position, barberId, barberName, language }, null when the kiosk says it doesn't
+// know the number, or { unavailable: true, error } when the kiosk couldn't answer (down, timeout, circuit
+// open, garbage). There's no local fallback for clients, so callers must not treat that as "not waiting".
+async function lookupClientByPhoneLive(phone) {
+  const normalized = normalizeUS(phone);
+  if (!normalized) return null;
+
+  return cachedKioskLookup(`client:${normalized}`, KIOSK_CLIENT_CACHE_MS, async () => {
+    log.info("lookupClientByPhoneLive ->", { phone: normalized });
+    const r = await kioskRequest("client-lookup-by-phone", { query: { phone: normalized } });
+    const j = r.json;
+
+    if (!j || r.error) { // r.error: the call failed, even if a 5xx came with a JSON body
+      log.warn("lookupClientByPhoneLive FAIL", { status: r.status, error: r.error });
+      return { unavailable: true, error: r.error || `HTTP ${r.status}` };
+    }
+    if (j.ok !== true || !j.client) return null;
+
+    rememberClientLocale(normalized, j.client.language);
+    const position = Number(j.client.position);
+    return {
+      id: String(j.client.id || "").trim(),
+      name: String(j.client.name || "").trim(),
+      phone: normalizeUS(j.client.phone || normalized),
+      position: Number.isFinite(position) && position > 0 ? position : null,
+      barberId: String(j.client.barberId || "").trim() || null,
+      barberName: String(j.client.barberName || "").trim() || null,
+      language: j.client.language || null
+    };
+  });
+}
+
+// Keep the local roster in step with what the kiosk says about a barber (identity only, not status)
+function syncBarberFromKiosk(barber) {
+  if (!barber?.id || !barber.name) return null;
+  const fields = { name: barber.name };
+  if (barber.phone) fields.phone = barber.phone;
+  const r = upsertBarber(barber.id, fields, { create: !getBarberById(barber.id) });
+  if (r.error) log.warn("syncBarberFromKiosk skipped", { barberId: barber.id, error: r.error });
+  return r.barber || null;
 }
 /* ===== REPLACEMENT ENDS HERE ===== */
 
-// sanity checks (prints once at boot so mistakes are obvious)
+// sanity checks: printed once at boot so mistakes are obvious, and reported by /ready
+function configProblems() {
+  const problems = [];
+  if (SMS_TRANSPORT === "infobip") {
+    if (!BASE_URL)  problems.push("INFOBIP_BASE_URL is missing");
+    if (!API_KEY)   problems.push("INFOBIP_API_KEY is missing");
+    if (API_KEY && !/^App\s+/i.test(API_KEY)) {
+      problems.push('INFOBIP_API_KEY should start with "App " (e.g., App xxxxx)');
+    }
+    if (!SENDER)    problems.push("INFOBIP_SENDER is missing");
+  } else if (SMS_TRANSPORT === "twilio") {
+    if (!process.env.TWILIO_ACCOUNT_SID) problems.push("TWILIO_ACCOUNT_SID is missing");
+    if (!process.env.TWILIO_AUTH_TOKEN)  problems.push("TWILIO_AUTH_TOKEN is missing");
+    if (!process.env.TWILIO_FROM && !SENDER) problems.push("TWILIO_FROM is missing");
+  } else if (SMS_TRANSPORT !== "memory" && SMS_TRANSPORT !== "file") {
+    problems.push(`Unknown SMS_TRANSPORT "${SMS_TRANSPORT}"`);
+  }
+  return problems;
+}
+
 (function validateEnv() {
-  if (!BASE_URL)  console.warn("[ENV] INFOBIP_BASE_URL is missing");
-  if (!API_KEY)   console.warn("[ENV] INFOBIP_API_KEY is missing");
-  if (API_KEY && !/^App\s+/i.test(API_KEY)) {
-    console.warn('[ENV] INFOBIP_API_KEY should start with "App " (e.g., App xxxxx)');
-  }
-  if (!SENDER)    console.warn("[ENV] INFOBIP_SENDER is missing");
-  if (!process.env.BARBER_NUMBERS)
-    console.warn("[ENV] BARBER_NUMBERS is missing (no barber SMS control)");
+  for (const p of configProblems()) log.warn(`[ENV] ${p}`);
+  if (SMS_TRANSPORT === "memory" || SMS_TRANSPORT === "file") {
+    log.warn(`[ENV] SMS_TRANSPORT=${SMS_TRANSPORT}: texts are recorded locally, NOTHING is sent`);
+  }
 })();
 
-// ======= TEMPLATES (new keys) =======
-const TEMPLATES = {
-  // ---------- SPECIFIC_BARBER_REQUEST ----------
-  SBR_CLIENT_SINGLE: ({ clientName, barberName }) =>
-    `${clientName}, you have requested ${barberName}.`,
-  SBR_CLIENT_MULTI: ({ clientName, barberNamesCsv }) =>
-    `${clientName}, you have requested ${barberNamesCsv}!`,
-  SBR_BARBER_COMPACT: ({ clientName, barberName, membersNote, declined }) =>
-    `${clientName} has requested ${barberName}${membersNote}${declined ? " — PHOTOS/VIDEOS DECLINED" : ""}.`,
-
-  // ---------- CLIENT_REMOVED_FROM_KIOSK ----------
-  CRK_CLIENT: ({ clientName }) =>
-    `${clientName}, you have been removed from the waitlist. Feel free to sign in again when you're ready!`,
-
-  // ---------- CLIENT_ASSIGNED ----------
-  CA_CLIENT_SINGLE: ({ clientName, barberName }) =>
-    `${clientName}, you are assigned to ${barberName}.`,
-  CA_CLIENT_MULTI: ({ clientName, barberNamesCsv }) =>
-    `${clientName}, you have been assigned to ${barberNamesCsv}!`,
-  CA_BARBER_COMPACT: ({ clientName, barberName, membersNote, declined }) =>
-    `${clientName} has been assigned to ${barberName}${membersNote}${declined ? " — PHOTOS/VIDEOS DECLINED" : ""}.`,
-
-  // ---------- CLIENT_PLACED_ON_WAITLIST ----------
-  CPW_CLIENT_SINGLE: ({ clientName, indexLabel }) =>
-    `${clientName} you have been placed on the waitlist. You're #${indexLabel} in line!`,
-  CPW_CLIENT_MULTI: ({ clientName, barberNamesCsv }) =>
-    `${clientName}, you have been placed on the waitlist. ${barberNamesCsv}!`,
-  CPW_BARBER_COMPACT: ({ clientName, membersNote, declined }) =>
-    `${clientName} has been placed on the waitlist${membersNote}${declined ? " — PHOTOS/VIDEOS DECLINED" : ""}.`,
-
-  // ---------- CLIENT_RE-WAITLISTED ----------
-  CRW_CLIENT_SINGLE: ({ clientName }) =>
-    `${clientName}, you have been re-waitlisted.`,
-  CRW_CLIENT_MULTI: ({ clientName, barberNamesCsv }) =>
-    `${clientName}, you have been re-waitlisted ${barberNamesCsv}!`,
-CRW_BARBER_COMPACT: ({ clientName, indexLabel, membersNote, declined }) =>
-  `${clientName}${indexLabel ? ` ${indexLabel}` : ""} has been re-waitlisted${membersNote}${declined ? " — PHOTOS/VIDEOS DECLINED" : ""}.`
+// ======= LOCATIONS (one deployment, several shops) =======
+// LOCATIONS_FILE (default data/locations.json) is a JSON array, one entry per shop:
+//   { "id": "north", "name": "Elite Kutz North", "sender": "+1...", "kioskUrl": "https://.../kiosk-api.php",
+//     "kioskToken": "...", "allowOrigin": "https://...", "helpPhone": "(972) 555-0100",
+//     "shopForwardNumber": "+1...", "feedbackLink": "https://...", "barberNumbers": { "+1...": "Name" },
+//     "adminPassword": "...", "shopHours": "Mon-Sat 09:00-20:00", "shopTimezone": "America/New_York" }
+// The first location falls back to the single-shop env vars (INFOBIP_SENDER, KIOSK_API_URL, KIOSK_TOKEN,
+// ALLOW_ORIGIN, HELP_PHONE, SHOP_FORWARD_NUMBER, FEEDBACK_LINK, BARBER_NUMBERS, ADMIN_PASSWORD) and keeps the original
+// data file names, so a single-shop install with no locations file carries on exactly as before.
+// Every location without its own shopHours / shopTimezone uses SHOP_HOURS / SHOP_TIMEZONE.
+// Kiosk requests pick their location by token (requireKioskAuth); inbound texts by the number they were
+// sent to. Roster, template overrides and wait-time history are per location; opt-outs are shared.
+const DEFAULT_ALLOW_ORIGIN = "https://elitekutzkiosk.com";
+const DEFAULT_HELP_PHONE = "(972) 673-0114";
+
+function normalizeLocation(raw, primary) {
+  const env = primary ? process.env : {};
+  const id = String(raw.id || (primary ? "main" : "")).trim().toLowerCase();
+  if (!/^[a-z0-9-]+$/.test(id)) throw new Error(`[LOCATIONS] bad or missing id: ${JSON.stringify(raw.id)}`);
+  const barberNumbers = raw.barberNumbers
+    ? Object.fromEntries(Object.entries(raw.barberNumbers).map(([k, v]) => [normalizeUS(k), String(v)]))
+    : (primary ? BARBER_NUMBERS : {});
+  return {
+    id,
+    name: String(raw.name || id),
+    primary,
+    sender: raw.sender ? normalizeUS(raw.sender) : null, // null: the transport's own sender (INFOBIP_SENDER / TWILIO_FROM)
+    kioskUrl: raw.kioskUrl || (primary ? KIOSK_API_URL : null),
+    kioskToken: raw.kioskToken || env.KIOSK_TOKEN || null,
+    allowOrigin: raw.allowOrigin || env.ALLOW_ORIGIN || (primary ? DEFAULT_ALLOW_ORIGIN : null),
+    helpPhone: raw.helpPhone || env.HELP_PHONE || (primary ? DEFAULT_HELP_PHONE : ""),
+    shopForwardNumber: raw.shopForwardNumber || env.SHOP_FORWARD_NUMBER || "",
+    feedbackLink: raw.feedbackLink || env.FEEDBACK_LINK || "",
+    adminPassword: raw.adminPassword || env.ADMIN_PASSWORD || null, // staff login for /admin
+    shopHours: raw.shopHours ? String(raw.shopHours) : null, // parsed in SHOP HOURS (shopHoursFor)
+    shopTimezone: raw.shopTimezone ? validTimeZone(id, raw.shopTimezone) : null,
+    barberNumbers
+  };
+}
+
+function validTimeZone(id, tz) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: String(tz) });
+  } catch (_) {
+    throw new Error(`[LOCATIONS] ${id}: unknown shopTimezone ${JSON.stringify(tz)}`);
+  }
+  return String(tz);
+}
+
+function loadLocations() {
+  const file = process.env.LOCATIONS_FILE || path.join(DATA_DIR, "locations.json");
+  let list = [{}];
+  try {
+    list = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    // no file is normal (single shop); a broken one should stop the boot, not fall back quietly
+    if (e.code !== "ENOENT" || process.env.LOCATIONS_FILE) throw new Error(`[LOCATIONS] can't load ${file}: ${e.message}`);
+  }
+  if (!Array.isArray(list) || !list.length) throw new Error(`[LOCATIONS] ${file} must be a non-empty array`);
+
+  const locations = list.map((raw, i) => normalizeLocation(raw || {}, i === 0));
+  for (const field of ["id", "sender", "kioskToken"]) {
+    const seen = new Set();
+    for (const l of locations) {
+      if (!l[field]) continue;
+      if (seen.has(l[field])) throw new Error(`[LOCATIONS] two locations share the same ${field}: ${l[field]}`);
+      seen.add(l[field]);
+    }
+  }
+  for (const l of locations.slice(1)) {
+    if (!l.sender) log.warn(`[LOCATIONS] ${l.id}: no sender; inbound texts can't be routed to it`);
+    if (!l.kioskUrl) log.warn(`[LOCATIONS] ${l.id}: no kioskUrl`);
+    if (!l.kioskToken) log.warn(`[LOCATIONS] ${l.id}: no kioskToken; its kiosk can't authenticate`);
+  }
+  return locations;
+}
+
+const LOCATIONS = loadLocations();
+const PRIMARY_LOCATION = LOCATIONS[0];
+if (LOCATIONS.length > 1) log.info("Locations", { locations: LOCATIONS.map(l => ({ id: l.id, sender: l.sender })) });
+
+// Whatever location the current request / job is for (the first location outside of one)
+function currentLocation() {
+  return locationContext.getStore() || PRIMARY_LOCATION;
+}
+
+function withLocation(loc, fn) {
+  return locationContext.run(loc || PRIMARY_LOCATION, fn);
+}
+
+function getLocationById(id) {
+  return LOCATIONS.find(l => l.id === id) || PRIMARY_LOCATION;
+}
+
+function findLocationByNumber(phone) {
+  const p = normalizeUS(phone);
+  return (p && LOCATIONS.find(l => l.sender === p)) || null;
+}
+
+// "Bearer <token>" -> location; with no tokens configured anywhere (dev mode) everything is the first location
+function findLocationByAuth(header) {
+  if (!LOCATIONS.some(l => l.kioskToken)) return PRIMARY_LOCATION;
+  const got = String(header || "").trim();
+  return LOCATIONS.find(l => l.kioskToken && got === "Bearer " + l.kioskToken) || null;
+}
+
+// Records from before locations existed have no `location`; they belong to the first one
+function inCurrentLocation(record) {
+  return (record.location || PRIMARY_LOCATION.id) === currentLocation().id;
+}
+
+// Per-location data files: the first location keeps the plain names (roster.json), others get roster.<id>.json
+function locationDataFile(name, loc = currentLocation()) {
+  return loc.primary ? name : name.replace(/\.json$/, `.${loc.id}.json`);
+}
+
+// ======= TEMPLATES (defaults; edits live in data/templates.json) =======
+// Placeholders are {name}. `vars` lists the only placeholders a template may use — i.e. what its
+// planner/route actually passes — so an edit can't reference something that renders empty.
+// Each template has an "en" default and optionally "es"; missing locales fall back to "en".
+// Barber-facing texts always render in DEFAULT_LOCALE; the client's language only affects client texts.
+const DEFAULT_LOCALE = "en";
+const SUPPORTED_LOCALES = ["en", "es"];
+const DECLINED_NOTE = " — PHOTOS/VIDEOS DECLINED";
+
+const TEMPLATE_DEFS = {
+  // Event fan-out templates (SBR_*, CA_*, CPW_*, ...) are declared with their event type in the EVENT REGISTRY.
+
+  // ---------- /api/send-* (kiosk-triggered) ----------
+  READY: {
+    vars: ["barberName"],
+    en: "Elite Kutz: Your chair is ready with {barberName}. Reply STOP to cancel, HELP for help, START to re-opt in.",
+    es: "Elite Kutz: Tu silla está lista con {barberName}. Responde STOP para cancelar, HELP para ayuda, START para volver a suscribirte."
+  },
+  ASSIGNMENT: {
+    vars: ["clientName", "barberName", "position", "positionNote"],
+    en: "Elite Kutz: {clientName}, you're assigned to {barberName}. {positionNote}Reply STOP to cancel, HELP for help, START to re-opt in.",
+    es: "Elite Kutz: {clientName}, te asignaron a {barberName}. {positionNote}Responde STOP para cancelar, HELP para ayuda, START para volver a suscribirte."
+  },
+  ASSIGNMENT_POSITION_NOTE: {
+    vars: ["position"],
+    en: "You're #{position} in line. ",
+    es: "Eres el #{position} en la fila. "
+  },
+  REMOVED: {
+    vars: [],
+    en: "Elite Kutz: You’ve been removed from the waitlist. If you still need service, please check in again. Reply STOP to opt out, HELP for help, START to rejoin.",
+    es: "Elite Kutz: Te eliminamos de la lista de espera. Si aún necesitas servicio, regístrate de nuevo. Responde STOP para darte de baja, HELP para ayuda, START para volver."
+  },
+  // Filled into {etaNote} wherever a wait estimate exists (empty otherwise)
+  ETA_NOTE: {
+    vars: ["etaMinutes"],
+    en: " (about {etaMinutes} min)",
+    es: " (unos {etaMinutes} min)"
+  },
+  POSITION: {
+    vars: ["position", "etaMinutes", "etaNote"],
+    en: "Elite Kutz: You're #{position} in line{etaNote}. Keep your phone nearby—reply STOP to opt out, HELP for help, START to rejoin.",
+    es: "Elite Kutz: Eres el #{position} en la fila{etaNote}. Ten tu teléfono cerca. Responde STOP para darte de baja, HELP para ayuda, START para volver."
+  },
+  FEEDBACK: {
+    vars: ["clientName", "barberName", "link"],
+    en: "Elite Kutz: How was your service with {barberName}? Leave feedback: {link} Reply STOP to opt out, HELP for help, START to rejoin.",
+    es: "Elite Kutz: ¿Cómo estuvo tu servicio con {barberName}? Déjanos tu opinión: {link} Responde STOP para darte de baja, HELP para ayuda, START para volver."
+  },
+
+  // ---------- inbound auto-replies ----------
+  START_CONFIRM: {
+    vars: [],
+    en: "You are opted in. Reply HELP for info or STOP to opt out anytime."
+  },
+  HELP: {
+    vars: ["helpPhone"],
+    en: "Elite Kutz: For help with SMS visit updates, call {helpPhone} or email support@elitekutzkiosk.com. Reply STOP to opt out, START to rejoin."
+  },
+  DEFAULT_REPLY: {
+    vars: [],
+    en: "Thanks! Reply HELP for info or STOP to opt out."
+  },
+  BARBER_NOT_RECOGNIZED: {
+    vars: [],
+    en: "Elite Kutz: This number is not recognized for barber controls."
+  },
+  BARBER_STATUS_SET: {
+    vars: ["barberName", "status"],
+    en: "Elite Kutz: {barberName} set to {status}."
+  },
+
+  // ---------- barber SMS commands ----------
+  BARBER_COMMANDS_HELP: {
+    vars: [],
+    en: "Elite Kutz barber commands: AVAILABLE, UNAVAILABLE, BREAK 15 (back in 15 min), STATUS, QUEUE (who's waiting for you), DONE (finish current client), LIST or ? (this list)."
+  },
+  BARBER_STATUS_REPORT: {
+    vars: ["barberName", "status", "breakNote"],
+    en: "Elite Kutz: {barberName} is {status}{breakNote}."
+  },
+  BARBER_BREAK_SET: {
+    vars: ["barberName", "minutes", "untilTime"],
+    en: "Elite Kutz: {barberName} on BREAK for {minutes} min. You'll be set back to AVAILABLE at {untilTime}."
+  },
+  BARBER_BREAK_OVER: {
+    vars: ["barberName"],
+    en: "Elite Kutz: Break over. {barberName} set to AVAILABLE."
+  },
+  BARBER_QUEUE: {
+    vars: ["barberName", "waiting"],
+    en: "Elite Kutz: {waiting} waiting for {barberName}."
+  },
+  BARBER_QUEUE_UNKNOWN: {
+    vars: ["barberName"],
+    en: "Elite Kutz: Couldn't get the queue for {barberName} right now. Check the kiosk."
+  },
+  BARBER_DONE: {
+    vars: ["barberName", "clientName"],
+    en: "Elite Kutz: {clientName} marked done for {barberName}. Feedback request sent."
+  },
+  BARBER_DONE_NO_CLIENT: {
+    vars: ["barberName"],
+    en: "Elite Kutz: Current client marked done for {barberName}."
+  },
+  BARBER_COMMAND_FAILED: {
+    vars: ["command"],
+    en: "Elite Kutz: {command} didn't go through (kiosk unreachable). Please try again."
+  },
+  BARBER_COMMAND_REFUSED: {
+    vars: ["command"],
+    en: "Elite Kutz: The kiosk didn't accept {command}. Check the kiosk or ask the front desk."
+  },
+  BARBER_STATUS_PENDING: {
+    vars: ["barberName", "status"],
+    en: "Elite Kutz: The kiosk hasn't confirmed {barberName} as {status} yet. We'll keep trying and text you when it's done."
+  },
+
+  // ---------- client SMS self-service ----------
+  CLIENT_POSITION: {
+    vars: ["clientName", "position", "etaMinutes", "etaNote"],
+    en: "Elite Kutz: {clientName}, you're #{position} in line{etaNote}.",
+    es: "Elite Kutz: {clientName}, eres el #{position} en la fila{etaNote}."
+  },
+  CLIENT_NOT_WAITING: {
+    vars: [],
+    en: "Elite Kutz: We couldn't find you on the waitlist right now. Check in at the kiosk or reply HELP.",
+    es: "Elite Kutz: No te encontramos en la lista de espera. Regístrate en el kiosco o responde HELP."
+  },
+  CLIENT_LATE_ACK: {
+    vars: ["clientName", "minutes"],
+    en: "Elite Kutz: Thanks {clientName}, we let the shop know you're about {minutes} min away.",
+    es: "Elite Kutz: Gracias {clientName}, le avisamos a la barbería que llegas en unos {minutes} min."
+  },
+  CLIENT_LATE_BARBER: {
+    vars: ["clientName", "minutes"],
+    en: "Elite Kutz: {clientName} is running about {minutes} min late."
+  },
+  CLIENT_COMMAND_FAILED: {
+    vars: [],
+    en: "Elite Kutz: That didn't go through. Please try again or call the shop.",
+    es: "Elite Kutz: No se pudo completar. Intenta de nuevo o llama a la barbería."
+  },
+  CLIENT_FORWARDED: {
+    vars: [],
+    en: "Thanks! We passed your message to the shop. Reply WHERE for your place in line, LATE 10 if you're running late, LEAVE to leave the line, HELP for info.",
+    es: "¡Gracias! Pasamos tu mensaje a la barbería. Responde WHERE para tu lugar en la fila, LATE 10 si vas tarde, LEAVE para salir de la fila, HELP para ayuda."
+  },
+  SHOP_FORWARD: {
+    vars: ["clientName", "phone", "text"],
+    en: "Elite Kutz msg from {clientName} ({phone}): {text}"
+  },
+
+  // ---------- campaigns (appended to every broadcast) ----------
+  CAMPAIGN_STOP_FOOTER: {
+    vars: [],
+    mustInclude: ["STOP"], // marketing texts must always say how to opt out
+    en: "Reply STOP to opt out.",
+    es: "Responde STOP para darte de baja."
+  },
+
+  // ---------- masked client <-> barber relay ----------
+  RELAY_TO_BARBER: {
+    vars: ["clientName", "text"],
+    en: "{clientName}: {text}"
+  },
+  RELAY_TO_CLIENT: {
+    vars: ["barberName", "text"],
+    en: "{barberName}: {text}"
+  }
 };
 
-// ======= BARBER ROSTER (fill with real data) =======
+// Map whatever the kiosk sends ("es", "es-MX", "Spanish", "Español") to a supported locale
+function normalizeLocale(lang) {
+  const l = String(lang || "").trim().toLowerCase();
+  if (!l) return DEFAULT_LOCALE;
+  if (l.startsWith("es") || l.startsWith("spa")) return "es";
+  const short = l.slice(0, 2);
+  return SUPPORTED_LOCALES.includes(short) ? short : DEFAULT_LOCALE;
+}
+
+const TEMPLATE_FILE = "templates.json";
+const TEMPLATE_HISTORY_MAX = Number(process.env.TEMPLATE_HISTORY_MAX || 500);
+// One store per location (templates.json, templates.<id>.json):
+// overrides: { [key]: { [locale]: { text, version, updatedAt } } }
+// history:   [{ key, locale, version, text, updatedAt }]  (text null == reset to default)
+const templateStores = new Map();
+
+function currentTemplateStore() {
+  const loc = currentLocation();
+  if (!templateStores.has(loc.id)) {
+    templateStores.set(loc.id, loadJson(locationDataFile(TEMPLATE_FILE, loc), { overrides: {}, history: [] }));
+  }
+  return templateStores.get(loc.id);
+}
+
+function saveTemplateStore() {
+  saveJson(locationDataFile(TEMPLATE_FILE), currentTemplateStore());
+}
+
+function getTemplateEntry(key, locale = DEFAULT_LOCALE) {
+  const def = TEMPLATE_DEFS[key];
+  if (!def) return null;
+  const o = currentTemplateStore().overrides[key] || {};
+  for (const loc of [locale, DEFAULT_LOCALE]) {
+    if (o[loc]) return { locale: loc, text: o[loc].text, version: o[loc].version, isDefault: false };
+    if (def[loc]) return { locale: loc, text: def[loc], version: 0, isDefault: true };
+  }
+  return null;
+}
+
+function templatePlaceholders(text) {
+  return [...String(text).matchAll(/\{(\w+)\}/g)].map(m => m[1]);
+}
+
+// returns [] when ok, else a list of human-readable problems
+function validateTemplateText(key, text) {
+  const def = TEMPLATE_DEFS[key];
+  if (!def) return [`Unknown template: ${key}`];
+  if (typeof text !== "string" || !text.trim()) return ["text is required"];
+  const errors = [];
+  for (const name of templatePlaceholders(text)) {
+    if (!def.vars.includes(name)) {
+      errors.push(`{${name}} is not available in ${key} (allowed: ${def.vars.map(v => `{${v}}`).join(", ") || "none"})`);
+    }
+  }
+  const stray = text.replace(/\{\w+\}/g, "");
+  if (/[{}]/.test(stray)) errors.push("Unbalanced { or } in template text");
+  for (const word of def.mustInclude || []) {
+    if (!text.includes(word)) errors.push(`${key} must include "${word}"`);
+  }
+  return errors;
+}
+
+function renderTemplate(key, vars = {}, locale = DEFAULT_LOCALE) {
+  const entry = getTemplateEntry(key, normalizeLocale(locale));
+  if (!entry) throw new Error(`Unknown template: ${key}`);
+  return entry.text.replace(/\{(\w+)\}/g, (_, name) => (vars[name] ?? "").toString());
+}
+
+function recordTemplateHistory(key, locale, version, text) {
+  const templateStore = currentTemplateStore();
+  templateStore.history.push({ key, locale, version, text, updatedAt: new Date().toISOString() });
+  if (templateStore.history.length > TEMPLATE_HISTORY_MAX) {
+    templateStore.history.splice(0, templateStore.history.length - TEMPLATE_HISTORY_MAX);
+  }
+}
+
+function nextTemplateVersion(key, locale) {
+  return currentTemplateStore().history
+    .filter(h => h.key === key && h.locale === locale)
+    .reduce((max, h) => Math.max(max, h.version), 0) + 1;
+}
+
+function setTemplateOverride(key, locale, text) {
+  const errors = validateTemplateText(key, text);
+  if (errors.length) return { errors };
+  const version = nextTemplateVersion(key, locale);
+  const updatedAt = new Date().toISOString();
+  const templateStore = currentTemplateStore();
+  templateStore.overrides[key] = templateStore.overrides[key] || {};
+  templateStore.overrides[key][locale] = { text, version, updatedAt };
+  recordTemplateHistory(key, locale, version, text);
+  saveTemplateStore();
+  return { entry: getTemplateEntry(key, locale) };
+}
+
+function resetTemplateOverride(key, locale) {
+  const templateStore = currentTemplateStore();
+  if (!templateStore.overrides[key]?.[locale]) return false;
+  delete templateStore.overrides[key][locale];
+  if (!Object.keys(templateStore.overrides[key]).length) delete templateStore.overrides[key];
+  recordTemplateHistory(key, locale, nextTemplateVersion(key, locale), null);
+  saveTemplateStore();
+  return true;
+}
+
+function describeTemplate(key) {
+  const def = TEMPLATE_DEFS[key];
+  const locales = {};
+  for (const loc of SUPPORTED_LOCALES) {
+    const e = getTemplateEntry(key, loc);
+    if (e && e.locale === loc) locales[loc] = { text: e.text, version: e.version, isDefault: e.isDefault };
+  }
+  return { key, vars: def.vars, locales };
+}
+
+// Planner-facing shim: TEMPLATES.X(vars, locale) renders the live (possibly edited) copy
+const TEMPLATES = Object.fromEntries(
+  Object.keys(TEMPLATE_DEFS).map(key => [key, (vars, locale) => renderTemplate(key, vars, locale)])
+);
+
+// Event types bring their own templates (registerEventType); they're editable like any other
+function addTemplateDefs(defs) {
+  for (const [key, def] of Object.entries(defs)) {
+    if (TEMPLATE_DEFS[key]) throw new Error(`Template ${key} is already defined`);
+    TEMPLATE_DEFS[key] = def;
+    TEMPLATES[key] = (vars, locale) => renderTemplate(key, vars, locale);
+  }
+}
+
+// ======= BARBER ROSTER (persistent; data/roster.json, roster.<id>.json per extra location) =======
+// The single source of barber identity + live status for the planners.
 // id: MUST match your kiosk's internal barberId exactly
 // name: what appears in SMS (client-facing)
 // phone: destination for that barber's texts
 // status: "green" (available), "orange" (busy), "red" (unavailable)
 //   - Used by getBusyBarbers() / getUnavailableBarbers()
-//   - You can update this array at runtime if you wire status changes, but static is fine to start.
-const ROSTER = [
+//   - Updated by /api/roster, barber AVAILABLE/UNAVAILABLE texts, and kiosk status pushes.
+// DEFAULT_ROSTER + BARBER_NUMBERS only seed the file on first boot; after that the file wins.
+// On a clash (same phone, or a name that slugs to an id already taken) the entry seen first wins:
+// DEFAULT_ROSTER before BARBER_NUMBERS, then BARBER_NUMBERS in order. The loser is skipped with a warning.
+// Other locations start from their own barberNumbers (or empty) and are filled via /api/roster.
+const DEFAULT_ROSTER = [
   { id: "lyric",     name: "Lyric",     phone: "+16147695230", status: "green"  },
   { id: "taja",      name: "Taja",      phone: "+17133973128", status: "orange" },
   { id: "mike",      name: "Mike",      phone: "+12149919940", status: "red"    },
@@ -178,29 +971,227 @@ const ROSTER = [
   { id: "pete",      name: "Pete",      phone: "+12143088942", status: "red"    },
   { id: "red",       name: "Red",       phone: "+12146296917", status: "red"    },
 ];
-// ======= BARBER LOOKUPS (keep/merge with yours) =======
-const BARBERS_BY_ID = Object.fromEntries((ROSTER || []).map(b => [b.id, b]));
 
-  typeof BARBERS_BY_ID === "object" && Object.keys(BARBERS_BY_ID).length
-    ? BARBERS_BY_ID
-    : Object.fromEntries((ROSTER || []).map(b => [b.id, b]));
+const ROSTER_FILE = "roster.json";
+const ROSTER_STATUSES = ["green", "orange", "red"];
+
+// Kiosk / SMS vocab -> roster colors
+function normalizeBarberStatus(status) {
+  const s = String(status || "").trim().toLowerCase();
+  if (s === "green" || s === "available") return "green";
+  if (s === "orange" || s === "busy") return "orange";
+  if (s === "red" || s === "unavailable") return "red";
+  return null;
+}
+
+function seedRoster(loc) {
+  const barbers = loc.primary ? DEFAULT_ROSTER.map(b => ({ ...b, active: true })) : [];
+  for (const [phone, name] of Object.entries(loc.barberNumbers)) {
+    if (barbers.some(b => b.phone === phone)) continue;
+    const id = name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+    const taken = barbers.find(b => b.id === id);
+    if (taken) {
+      log.warn("[ROSTER] BARBER_NUMBERS entry skipped: its id is already taken", { id, name, phone, keptPhone: taken.phone });
+      continue;
+    }
+    barbers.push({ id, name, phone, status: "red", active: true });
+  }
+  const seeded = { barbers, updatedAt: new Date().toISOString() };
+  const file = locationDataFile(ROSTER_FILE, loc);
+  saveJson(file, seeded);
+  log.info("[ROSTER] seeded", { count: barbers.length, file });
+  return seeded;
+}
+
+const rosters = new Map(); // location id -> { barbers, updatedAt }
+
+function currentRoster() {
+  const loc = currentLocation();
+  if (!rosters.has(loc.id)) {
+    rosters.set(loc.id, loadJson(locationDataFile(ROSTER_FILE, loc), null) || seedRoster(loc));
+  }
+  return rosters.get(loc.id);
+}
+for (const loc of LOCATIONS) withLocation(loc, currentRoster); // seed/load every roster at boot
+
+function saveRoster() {
+  const roster = currentRoster();
+  roster.updatedAt = new Date().toISOString();
+  saveJson(locationDataFile(ROSTER_FILE), roster);
+}
+
+function listBarbers({ includeInactive = false } = {}) {
+  return currentRoster().barbers.filter(b => includeInactive || b.active !== false);
+}
+
+function getBarberById(id) {
+  return currentRoster().barbers.find(b => b.id === String(id || "")) || null;
+}
+
+function findBarberByPhone(phone) {
+  const p = normalizeUS(phone);
+  return (p && currentRoster().barbers.find(b => b.phone === p)) || null;
+}
+
+function findBarberByName(name) {
+  const n = String(name || "").trim().toLowerCase();
+  return (n && currentRoster().barbers.find(b => b.name.toLowerCase() === n || b.id === n)) || null;
+}
+
+function setBarberStatus(id, status, source = "api") {
+  const b = getBarberById(id);
+  const color = normalizeBarberStatus(status);
+  if (!b || !color) return null;
+  b.status = color;
+  b.statusSource = source;
+  b.statusUpdatedAt = new Date().toISOString();
+  saveRoster();
+  log.info("Roster status ->", { id: b.id, status: color, source });
+  return b;
+}
+
+// Create or update one barber; returns { barber } or { error }
+function upsertBarber(id, fields, { create = false } = {}) {
+  const cleanId = String(id || "").trim();
+  if (!cleanId) return { error: "Missing id" };
+  const existing = getBarberById(cleanId);
+  if (create && existing) return { error: `Barber ${cleanId} already exists` };
+  if (!create && !existing) return { error: `Unknown barberId: ${cleanId}` };
+
+  const next = { ...(existing || { id: cleanId, status: "red", active: true }) };
+  if (fields.name !== undefined) next.name = String(fields.name).trim();
+  if (fields.phone !== undefined) next.phone = normalizeUS(fields.phone);
+  if (fields.active !== undefined) next.active = !!fields.active;
+  if (fields.status !== undefined) {
+    const color = normalizeBarberStatus(fields.status);
+    if (!color) return { error: `status must be one of ${ROSTER_STATUSES.join(", ")}` };
+    if (color !== next.status) {
+      next.status = color;
+      next.statusSource = fields.statusSource || "api";
+      next.statusUpdatedAt = new Date().toISOString();
+    }
+  }
+  if (!next.name || !next.phone || next.phone === "+") return { error: "name and phone are required" };
+  const clash = currentRoster().barbers.find(b => b.phone === next.phone && b.id !== cleanId);
+  if (clash) return { error: `Phone already belongs to ${clash.id}` };
+
+  if (existing) Object.assign(existing, next);
+  else currentRoster().barbers.push(next);
+  saveRoster();
+  return { barber: existing || next };
+}
+
+function removeBarber(id) {
+  const roster = currentRoster();
+  const before = roster.barbers.length;
+  roster.barbers = roster.barbers.filter(b => b.id !== id);
+  if (roster.barbers.length === before) return false;
+  saveRoster();
+  return true;
+}
 
 // Busy/unavailable helpers (adjust to your statuses if needed)
 function getUnavailableBarbers() {
   // treat RED as unavailable; change if your kiosk uses different codes
-  return (ROSTER || []).filter(b => (b.status || "").toLowerCase() === "red");
+  return listBarbers().filter(b => (b.status || "").toLowerCase() === "red");
 }
 function getBusyBarbers() {
   // treat NOT GREEN as busy (orange or red)
-  return (ROSTER || []).filter(b => (b.status || "").toLowerCase() !== "green");
+  return listBarbers().filter(b => (b.status || "").toLowerCase() !== "green");
+}
+
+// ======= WAIT-TIME ESTIMATE (from CLIENT_ASSIGNED history; data/assignments.json) =======
+// A barber's service time is the median gap between consecutive assignments to them.
+// Gaps over ETA_MAX_GAP_MINUTES are breaks/quiet spells, not haircuts, and are ignored.
+// Wait for #N in line ~= N * service time / green barbers (rounded up to 5 minutes).
+const ASSIGNMENT_LOG_FILE = "assignments.json";
+const ETA_SAMPLES_PER_BARBER = Number(process.env.ETA_SAMPLES_PER_BARBER || 20);
+const ETA_DEFAULT_SERVICE_MINUTES = Number(process.env.ETA_DEFAULT_SERVICE_MINUTES || 30);
+const ETA_MAX_GAP_MINUTES = Number(process.env.ETA_MAX_GAP_MINUTES || 120);
+
+const assignmentLogs = new Map(); // location id -> { byBarber: { [barberId]: [iso, ...] } }
+
+function currentAssignmentLog() {
+  const loc = currentLocation();
+  if (!assignmentLogs.has(loc.id)) {
+    assignmentLogs.set(loc.id, loadJson(locationDataFile(ASSIGNMENT_LOG_FILE, loc), { byBarber: {} }));
+  }
+  return assignmentLogs.get(loc.id);
 }
 
+function recordAssignment(barberId, at = new Date()) {
+  const id = String(barberId || "");
+  if (!id) return;
+  const assignmentLog = currentAssignmentLog();
+  const list = assignmentLog.byBarber[id] || [];
+  list.push(at.toISOString());
+  assignmentLog.byBarber[id] = list.slice(-(ETA_SAMPLES_PER_BARBER + 1));
+  saveJson(locationDataFile(ASSIGNMENT_LOG_FILE), assignmentLog);
+}
+
+function median(nums) {
+  if (!nums.length) return null;
+  const sorted = nums.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// minutes per client for one barber, or null when there isn't enough history yet
+function barberServiceMinutes(barberId) {
+  const times = (currentAssignmentLog().byBarber[barberId] || []).map(t => Date.parse(t));
+  const gaps = [];
+  for (let i = 1; i < times.length; i++) {
+    const min = (times[i] - times[i - 1]) / 60000;
+    if (min >= 1 && min <= ETA_MAX_GAP_MINUTES) gaps.push(min);
+  }
+  return median(gaps);
+}
+
+function shopServiceMinutes() {
+  const perBarber = Object.keys(currentAssignmentLog().byBarber).map(barberServiceMinutes).filter(m => m != null);
+  return median(perBarber) ?? ETA_DEFAULT_SERVICE_MINUTES;
+}
+
+// position: place in line (1 = next). barberId: waiting on one barber rather than first-available.
+function estimateWait({ position, barberId = null } = {}) {
+  const pos = Number(position);
+  const greenBarbers = listBarbers().filter(b => normalizeBarberStatus(b.status) === "green").length;
+  const serviceMinutes = (barberId && barberServiceMinutes(barberId)) ?? shopServiceMinutes();
+  const capacity = barberId ? 1 : Math.max(1, greenBarbers);
+  const etaMinutes = Number.isFinite(pos) && pos > 0
+    ? Math.ceil((pos * serviceMinutes / capacity) / 5) * 5
+    : null;
+  return { position: Number.isFinite(pos) ? pos : null, etaMinutes, serviceMinutes: Math.round(serviceMinutes), greenBarbers };
+}
+
+// template vars: {etaMinutes} plus {etaNote} (the ETA_NOTE template) that's empty when we can't estimate
+function etaVars(position, locale, barberId = null) {
+  const { etaMinutes } = estimateWait({ position, barberId });
+  if (etaMinutes == null) return { etaMinutes: "", etaNote: "" };
+  return { etaMinutes, etaNote: TEMPLATES.ETA_NOTE({ etaMinutes }, locale) };
+}
+
+// GET /api/eta?position=3[&barberId=mike] -> estimate for the kiosk display
+app.get("/api/eta", requireKioskAuth, (req, res) => {
+  const position = req.query.position ?? 1;
+  const barberId = req.query.barberId ? String(req.query.barberId) : null;
+  if (barberId && !getBarberById(barberId)) return res.status(404).json({ ok: false, error: "Unknown barberId" });
+  const estimate = estimateWait({ position, barberId });
+  if (estimate.etaMinutes == null) return res.status(400).json({ ok: false, error: "position must be a positive number" });
+  res.json({
+    ok: true,
+    ...estimate,
+    barberId,
+    perBarberMinutes: Object.fromEntries(listBarbers().map(b => [b.id, barberServiceMinutes(b.id)]))
+  });
+});
+
 // ======= SHARED GROUPING/RENDER HELPERS =======
 function groupAssignmentsByBarber(assignments = []) {
   // returns: { [barberId]: { indexes:[1,2], count:2, barberName, phone } }
   const out = {};
   for (const a of assignments) {
-    const b = BARBERS_BY_ID[a.barberId];
+    const b = getBarberById(a.barberId);
     if (!b) throw new Error(`Unknown barberId: ${a.barberId}`);
     if (!out[a.barberId]) out[a.barberId] = { indexes: [], count: 0, barberName: b.name, phone: b.phone };
     out[a.barberId].indexes.push(a.memberIndex || 1);
@@ -217,15 +1208,21 @@ function buildMembersNote(count, indexesCsv) {
   return count > 1 ? ` (members: ${indexesCsv})` : "";
 }
 
-function buildDeclinedFlag(declinedPhotos) {
-  return declinedPhotos ? true : false;
+function buildDeclinedNote(declinedPhotos) {
+  return declinedPhotos ? DECLINED_NOTE : "";
 }
 
-function computeClientSingleOrMultiText({ names, clientName, singleTpl, multiTpl }) {
+// Client texts follow the kiosk's `language` field (locale also accepted); barbers stay on the default
+function clientLocale(payload) {
+  return normalizeLocale(payload?.language ?? payload?.locale);
+}
+
+// vars: anything else the templates take (e.g. etaVars)
+function computeClientSingleOrMultiText({ names, clientName, singleTpl, multiTpl, locale, vars = {} }) {
   if (names.length <= 1) {
-    return { text: singleTpl({ clientName, barberName: names[0] }), isMulti: false };
+    return { text: singleTpl({ ...vars, clientName, barberName: names[0], barberNamesCsv: csv(names) }, locale), isMulti: false };
   }
-  return { text: multiTpl({ clientName, barberNamesCsv: csv(names) }), isMulti: true };
+  return { text: multiTpl({ ...vars, clientName, barberNamesCsv: csv(names) }, locale), isMulti: true };
 }
 
 // ======= PLANNERS =======
@@ -237,6 +1234,7 @@ function planSpecificBarberRequest(payload) {
     clientName, clientPhone, partySize,
     assignments = [], declinedPhotos = false
   } = payload || {};
+  const locale = clientLocale(payload);
   if (!clientName || !clientPhone) throw new Error("SBR: missing clientName or clientPhone");
   if (!assignments.length) throw new Error("SBR: assignments[] required");
 
@@ -250,7 +1248,8 @@ function planSpecificBarberRequest(payload) {
     names: barberNames,
     clientName,
     singleTpl: TEMPLATES.SBR_CLIENT_SINGLE,
-    multiTpl: TEMPLATES.SBR_CLIENT_MULTI
+    multiTpl: TEMPLATES.SBR_CLIENT_MULTI,
+    locale
   });
   out.push({ to: clientPhone, type: clientMsg.isMulti ? "SBR_CLIENT_MULTI" : "SBR_CLIENT_SINGLE", text: clientMsg.text });
 
@@ -258,13 +1257,13 @@ function planSpecificBarberRequest(payload) {
   for (const [barberId, g] of Object.entries(grouped)) {
     const membersNote = buildMembersNote(g.count, csv(g.indexes));
     out.push({
-      to: BARBERS_BY_ID[barberId].phone,
+      to: getBarberById(barberId).phone,
       type: "SBR_BARBER_COMPACT",
-      text: TEMPLATES.SBR_BARBER_COMPACT({
+      text: renderBarberCompact("SBR_BARBER_COMPACT", {
         clientName,
         barberName: g.barberName,
         membersNote,
-        declined: buildDeclinedFlag(declinedPhotos)
+        declinedNote: buildDeclinedNote(declinedPhotos)
       })
     });
   }
@@ -276,8 +1275,9 @@ function planSpecificBarberRequest(payload) {
 // when: immediately after client(s) assigned  (per spec you gave; sends client-only)
 function planClientRemovedFromKiosk(payload) {
   const { clientName, clientPhone } = payload || {};
+  const locale = clientLocale(payload);
   if (!clientName || !clientPhone) throw new Error("CRK: missing clientName or clientPhone");
-  return [{ to: clientPhone, type: "CRK_CLIENT", text: TEMPLATES.CRK_CLIENT({ clientName }) }];
+  return [{ to: clientPhone, type: "CRK_CLIENT", text: TEMPLATES.CRK_CLIENT({ clientName }, locale) }];
 }
 
 // event_name: CLIENT_ASSIGNED
@@ -287,6 +1287,7 @@ function planClientAssigned(payload) {
     clientName, clientPhone,
     assignments = [], declinedPhotos = false
   } = payload || {};
+  const locale = clientLocale(payload);
   if (!clientName || !clientPhone) throw new Error("CA: missing clientName or clientPhone");
   if (!assignments.length) throw new Error("CA: assignments[] required");
 
@@ -300,7 +1301,8 @@ function planClientAssigned(payload) {
     names: barberNames,
     clientName,
     singleTpl: TEMPLATES.CA_CLIENT_SINGLE,
-    multiTpl: TEMPLATES.CA_CLIENT_MULTI
+    multiTpl: TEMPLATES.CA_CLIENT_MULTI,
+    locale
   });
   out.push({ to: clientPhone, type: clientMsg.isMulti ? "CA_CLIENT_MULTI" : "CA_CLIENT_SINGLE", text: clientMsg.text });
 
@@ -308,13 +1310,13 @@ function planClientAssigned(payload) {
   for (const [barberId, g] of Object.entries(grouped)) {
     const membersNote = buildMembersNote(g.count, csv(g.indexes));
     out.push({
-      to: BARBERS_BY_ID[barberId].phone,
+      to: getBarberById(barberId).phone,
       type: "CA_BARBER_COMPACT",
-      text: TEMPLATES.CA_BARBER_COMPACT({
+      text: renderBarberCompact("CA_BARBER_COMPACT", {
         clientName,
         barberName: g.barberName,
         membersNote,
-        declined: buildDeclinedFlag(declinedPhotos)
+        declinedNote: buildDeclinedNote(declinedPhotos)
       })
     });
   }
@@ -330,6 +1332,7 @@ function planClientPlacedOnWaitlist(payload) {
     clientName, clientPhone, indexLabel,
     assignments = [], declinedPhotos = false
   } = payload || {};
+  const locale = clientLocale(payload);
   if (!clientName || !clientPhone) throw new Error("CPW: missing clientName or clientPhone");
 
   const out = [];
@@ -344,7 +1347,10 @@ function planClientPlacedOnWaitlist(payload) {
       names: barberNames,
       clientName,
       singleTpl: TEMPLATES.CPW_CLIENT_MULTI, // still use MULTI template, but with one name it's fine
-      multiTpl: TEMPLATES.CPW_CLIENT_MULTI
+      multiTpl: TEMPLATES.CPW_CLIENT_MULTI,
+      locale,
+      // one barber: their own pace; several: whoever's free first, same as first-available
+      vars: etaVars(indexLabel, locale, Object.keys(grouped).length === 1 ? Object.keys(grouped)[0] : null)
     });
     out.push({ to: clientPhone, type: "CPW_CLIENT_MULTI", text: clientMsg.text });
 
@@ -352,12 +1358,12 @@ function planClientPlacedOnWaitlist(payload) {
     for (const [barberId, g] of Object.entries(grouped)) {
       const membersNote = buildMembersNote(g.count, csv(g.indexes));
       out.push({
-        to: BARBERS_BY_ID[barberId].phone,
+        to: getBarberById(barberId).phone,
         type: "CPW_BARBER_COMPACT",
-        text: TEMPLATES.CPW_BARBER_COMPACT({
+        text: renderBarberCompact("CPW_BARBER_COMPACT", {
           clientName,
           membersNote,
-          declined: buildDeclinedFlag(declinedPhotos)
+          declinedNote: buildDeclinedNote(declinedPhotos)
         })
       });
     }
@@ -366,7 +1372,7 @@ function planClientPlacedOnWaitlist(payload) {
     out.push({
       to: clientPhone,
       type: "CPW_CLIENT_SINGLE",
-      text: TEMPLATES.CPW_CLIENT_SINGLE({ clientName, indexLabel: indexLabel ?? "?" })
+      text: TEMPLATES.CPW_CLIENT_SINGLE({ clientName, indexLabel: indexLabel ?? "?", ...etaVars(indexLabel, locale) }, locale)
     });
 
     const notifySet = new Set([
@@ -378,10 +1384,10 @@ function planClientPlacedOnWaitlist(payload) {
       out.push({
         to: phone,
         type: "CPW_BARBER_COMPACT",
-        text: TEMPLATES.CPW_BARBER_COMPACT({
+        text: renderBarberCompact("CPW_BARBER_COMPACT", {
           clientName,
           membersNote: "", // members unknown in first-available placement
-          declined: buildDeclinedFlag(declinedPhotos)
+          declinedNote: buildDeclinedNote(declinedPhotos)
         })
       });
     }
@@ -398,6 +1404,7 @@ function planClientReWaitlisted(payload) {
     assignments = [], declinedPhotos = false,
     indexLabel // optional label to include in barber message if you want
   } = payload || {};
+  const locale = clientLocale(payload);
   if (!clientName || !clientPhone) throw new Error("CRW: missing clientName or clientPhone");
 
   const out = [];
@@ -410,11 +1417,12 @@ function planClientReWaitlisted(payload) {
       names: barberNames,
       clientName,
       singleTpl: TEMPLATES.CRW_CLIENT_MULTI, // same rationale as CPW
-      multiTpl: TEMPLATES.CRW_CLIENT_MULTI
+      multiTpl: TEMPLATES.CRW_CLIENT_MULTI,
+      locale
     });
     out.push({ to: clientPhone, type: "CRW_CLIENT_MULTI", text: clientMsg.text });
   } else {
-    out.push({ to: clientPhone, type: "CRW_CLIENT_SINGLE", text: TEMPLATES.CRW_CLIENT_SINGLE({ clientName }) });
+    out.push({ to: clientPhone, type: "CRW_CLIENT_SINGLE", text: TEMPLATES.CRW_CLIENT_SINGLE({ clientName }, locale) });
   }
 
   // barbers: all busy + all unavailable (ONE compact per barber)
@@ -428,196 +1436,2482 @@ function planClientReWaitlisted(payload) {
   let grouped = {};
   if (assignments.length) grouped = groupAssignmentsByBarber(assignments);
 
-  for (const b of (ROSTER || [])) {
+  for (const b of listBarbers()) {
     if (!notifySet.has(b.phone)) continue;
     const g = grouped[b.id]; // may be undefined
     const membersNote = g ? buildMembersNote(g.count, csv(g.indexes)) : "";
     out.push({
       to: b.phone,
       type: "CRW_BARBER_COMPACT",
-      text: TEMPLATES.CRW_BARBER_COMPACT({
+      text: renderBarberCompact("CRW_BARBER_COMPACT", {
         clientName,
         indexLabel,
+        indexLabelNote: indexLabel ? ` ${indexLabel}` : "",
         membersNote,
-        declined: buildDeclinedFlag(declinedPhotos)
+        declinedNote: buildDeclinedNote(declinedPhotos)
       })
     });
   }
 
   return out;
 }
-// ======= Fan-out switch =======
-// Turns an event { type, payload } into an array of SMS sends.
-// Each planner returns: [{ to, type, text }, ...]
-function planMessages(type, payload) {
-  switch (type) {
-    case "SPECIFIC_BARBER_REQUEST": {
-      return planSpecificBarberRequest(payload);
-    }
 
-    case "CLIENT_REMOVED_FROM_KIOSK": {
-      return planClientRemovedFromKiosk(payload);
-    }
+// event_name: CLIENT_NEXT_UP
+// when: the client is next in line (heads-up to the client only)
+function planClientNextUp(payload) {
+  const { clientName, clientPhone, assignments = [] } = payload || {};
+  const locale = clientLocale(payload);
+  if (!clientName || !clientPhone) throw new Error("NU: missing clientName or clientPhone");
 
-    case "CLIENT_ASSIGNED": {
-      return planClientAssigned(payload);
-    }
+  if (!assignments.length) {
+    return [{ to: clientPhone, type: "NU_CLIENT_ANY", text: TEMPLATES.NU_CLIENT_ANY({ clientName }, locale) }];
+  }
 
-    case "CLIENT_PLACED_ON_WAITLIST": {
-      return planClientPlacedOnWaitlist(payload);
-    }
+  const grouped = groupAssignmentsByBarber(assignments);
+  const clientMsg = computeClientSingleOrMultiText({
+    names: Object.values(grouped).map(g => g.barberName),
+    clientName,
+    singleTpl: TEMPLATES.NU_CLIENT_SINGLE,
+    multiTpl: TEMPLATES.NU_CLIENT_MULTI,
+    locale
+  });
+  return [{ to: clientPhone, type: clientMsg.isMulti ? "NU_CLIENT_MULTI" : "NU_CLIENT_SINGLE", text: clientMsg.text }];
+}
 
-    case "CLIENT_RE-WAITLISTED": {
-      return planClientReWaitlisted(payload);
-    }
+// event_name: CLIENT_NO_SHOW
+// when: the client was called and didn't turn up (client + each barber they were waiting on)
+function planClientNoShow(payload) {
+  const { clientName, clientPhone, assignments = [] } = payload || {};
+  const locale = clientLocale(payload);
+  if (!clientName || !clientPhone) throw new Error("NS: missing clientName or clientPhone");
+  if (!assignments.length) throw new Error("NS: assignments[] required");
 
-    default:
-      throw new Error(`Unknown event type: ${type}`);
+  const out = [{ to: clientPhone, type: "NS_CLIENT", text: TEMPLATES.NS_CLIENT({ clientName }, locale) }];
+
+  for (const g of Object.values(groupAssignmentsByBarber(assignments))) {
+    out.push({
+      to: g.phone,
+      type: "NS_BARBER_COMPACT",
+      text: renderBarberCompact("NS_BARBER_COMPACT", {
+        clientName,
+        barberName: g.barberName,
+        membersNote: buildMembersNote(g.count, csv(g.indexes))
+      })
+    });
   }
+
+  return out;
 }
 
-// --- util: validate Infobip accepted the outbound message ---
-function assertInfobipAccepted(bodyText) {
-  let parsed;
-  try {
-    parsed = JSON.parse(bodyText);
-  } catch {
-    throw new Error("Infobip returned non-JSON body");
+// Waitlist entries can be several people on one phone (a party); text each phone once
+function groupWaitingByPhone(waiting = []) {
+  const parties = new Map();
+  for (const w of waiting) {
+    const phone = normalizeUS(w.clientPhone);
+    if (!parties.has(phone)) parties.set(phone, { ...w, clientPhone: phone, indexes: [] });
+    parties.get(phone).indexes.push(w.memberIndex || 1);
   }
+  for (const p of parties.values()) p.indexes.sort((x, y) => x - y);
+  return [...parties.values()];
+}
 
-  const msgs = parsed?.messages;
+// event_name: BARBER_RUNNING_LATE
+// when: a barber falls behind; `waiting` is everyone in line for that barber
+function planBarberRunningLate(payload) {
+  const { barberId, minutes, waiting = [] } = payload || {};
+  if (!barberId || !minutes) throw new Error("BRL: missing barberId or minutes");
+
+  const parties = groupWaitingByPhone(waiting);
+  if (!parties.length) return [];
+  const g = groupAssignmentsByBarber(waiting.map(w => ({ barberId, memberIndex: w.memberIndex })))[barberId];
+
+  const out = parties.map(p => ({
+    to: p.clientPhone,
+    type: "BRL_CLIENT",
+    text: TEMPLATES.BRL_CLIENT({ clientName: p.clientName, barberName: g.barberName, minutes }, clientLocale(p))
+  }));
+
+  // the barber gets one summary of who was told
+  out.push({
+    to: g.phone,
+    type: "BRL_BARBER",
+    text: TEMPLATES.BRL_BARBER({
+      barberName: g.barberName,
+      minutes,
+      count: parties.length,
+      clientNamesCsv: csv(parties.map(p => p.clientName + buildMembersNote(p.indexes.length, csv(p.indexes))))
+    })
+  });
+
+  return out;
+}
+
+// event_name: SHOP_CLOSING_SOON
+// when: shortly before closing; `waiting` is everyone still on the waitlist
+// NOTE: closeTime defaults to now + minutes in the shop's timezone.
+function planShopClosingSoon(payload) {
+  const { minutes, closeTime, waiting = [] } = payload || {};
+  if (!minutes) throw new Error("SCS: missing minutes");
+  const closeLabel = closeTime || formatShopTime(new Date(Date.now() + Number(minutes) * 60000));
+
+  return groupWaitingByPhone(waiting).map(p => ({
+    to: p.clientPhone,
+    type: "SCS_CLIENT",
+    text: TEMPLATES.SCS_CLIENT({ clientName: p.clientName, minutes, closeTime: closeLabel }, clientLocale(p))
+  }));
+}
+
+// ======= EVENT REGISTRY (type -> planner, templates, schema) =======
+// Every /events type is one registerEventType() call at the bottom of this section:
+//   planner       payload -> [{ to, type, text }]  (see PLANNERS)
+//   templates     the TEMPLATE_DEFS entries its planner renders; editable via /api/templates like the rest
+//   schema        payload fields, checked by validateEvent before anything is planned
+//   check         optional cross-field rules: payload -> [{ field, message }]
+//   onDispatched  optional side effects once the texts are out (relay sessions, ETA history)
+// An event body is { type, schemaVersion?, eventId?, payload }. schemaVersion defaults to 1 for kiosks
+// that predate it; a version this service doesn't know is refused with a 400 rather than guessed at.
+// Payload fields the schema doesn't know are ignored but listed in `warnings`, so the kiosk can tell
+// when it's sending something this side doesn't use (yet). Likewise an assignment to a barber who isn't on
+// the roster is dropped with a warning, so the client and the other barbers still get their texts; the
+// event only fails when none of its assignments is left.
+// Field types: string, phone, boolean, integer, label (string or number), barberId (must be on the roster),
+// array (items), object (fields).
+const EVENT_SCHEMA_VERSIONS = [1];
+
+const CLIENT_FIELDS = {
+  clientName: { type: "string", required: true, maxLength: 60 },
+  clientPhone: { type: "phone", required: true },
+  language: { type: "string" },
+  locale: { type: "string" }
+};
+
+const ASSIGNMENT_ITEM = {
+  type: "object",
+  fields: {
+    barberId: { type: "barberId", required: true },
+    memberIndex: { type: "integer", min: 1 }
+  }
+};
+
+const PARTY_FIELDS = {
+  declinedPhotos: { type: "boolean" },
+  partySize: { type: "integer", min: 1, max: 20 }
+};
+
+// One person in line, as sent in `waiting` lists (party members share a phone and differ by memberIndex)
+const WAITING_ITEM = {
+  type: "object",
+  fields: { ...CLIENT_FIELDS, memberIndex: { type: "integer", min: 1 } }
+};
+
+const EVENT_TYPES = {};
+
+function registerEventType(type, { planner, templates = {}, schema, check = null, onDispatched = null }) {
+  if (EVENT_TYPES[type]) throw new Error(`Event type ${type} is already registered`);
+  if (typeof planner !== "function" || !schema) throw new Error(`Event type ${type} needs a planner and a schema`);
+  addTemplateDefs(templates);
+  EVENT_TYPES[type] = { planner, templates: Object.keys(templates), schema, check, onDispatched };
+}
+
+// Top-level keys that belong to the request, not the payload
+const EVENT_ENVELOPE_KEYS = ["type", "schemaVersion", "eventId", "payload", "sendAt", "delayMinutes", "delaySeconds"];
+
+function isPlainObject(v) {
+  return v != null && typeof v === "object" && !Array.isArray(v);
+}
+
+// Pushes { field, message } into errors / a string into warnings; field paths look like payload.assignments[1].barberId
+function checkField(spec, value, field, errors, warnings) {
+  if (value === undefined || value === null || value === "") {
+    if (spec.required) errors.push({ field, message: "is required" });
+    return;
+  }
+  const fail = message => errors.push({ field, message });
+
+  switch (spec.type) {
+    case "string":
+      if (typeof value !== "string" || !value.trim()) return fail("must be a non-empty string");
+      if (spec.maxLength && value.length > spec.maxLength) return fail(`must be at most ${spec.maxLength} characters`);
+      return;
+    case "phone": {
+      const p = normalizeUS(value);
+      if (!/^\+\d{11,15}$/.test(p)) return fail("must be a phone number (10-digit US or +E.164)");
+      return;
+    }
+    case "boolean":
+      if (![true, false, 0, 1].includes(value)) return fail("must be true or false");
+      return;
+    case "integer": {
+      const n = Number(value);
+      if (!Number.isInteger(n)) return fail("must be a whole number");
+      if (spec.min !== undefined && n < spec.min) return fail(`must be at least ${spec.min}`);
+      if (spec.max !== undefined && n > spec.max) return fail(`must be at most ${spec.max}`);
+      return;
+    }
+    case "label":
+      if (typeof value !== "string" && typeof value !== "number") return fail("must be a string or number");
+      return;
+    case "barberId":
+      if (typeof value !== "string" && typeof value !== "number") return fail("must be a string");
+      if (!getBarberById(value)) return fail(`unknown barber "${value}" (not on this location's roster)`);
+      return;
+    case "array":
+      if (!Array.isArray(value)) return fail("must be an array");
+      if (spec.minItems && value.length < spec.minItems) return fail(`needs at least ${spec.minItems} item(s)`);
+      value.forEach((item, i) => checkField(spec.items, item, `${field}[${i}]`, errors, warnings));
+      return;
+    case "object":
+      if (!isPlainObject(value)) return fail("must be an object");
+      checkFields(spec.fields, value, field, errors, warnings);
+      return;
+    default:
+      throw new Error(`Schema bug: unknown field type ${spec.type} at ${field}`);
+  }
+}
+
+function checkFields(fields, obj, prefix, errors, warnings) {
+  for (const [name, spec] of Object.entries(fields)) checkField(spec, obj[name], `${prefix}.${name}`, errors, warnings);
+  for (const name of Object.keys(obj)) {
+    if (!fields[name]) warnings.push(`${prefix}.${name} is not part of the schema and was ignored`);
+  }
+}
+
+// -> { type, schemaVersion, payload, errors: [{ field, message }], warnings: [string] }
+function validateEvent(body) {
+  const errors = [];
+  const warnings = [];
+  const { type, payload } = body || {};
+  const schemaVersion = body?.schemaVersion === undefined ? 1 : Number(body.schemaVersion);
+
+  if (!type) errors.push({ field: "type", message: "is required" });
+  else if (!EVENT_TYPES[type]) errors.push({ field: "type", message: `unknown event type (known: ${Object.keys(EVENT_TYPES).join(", ")})` });
+  if (!EVENT_SCHEMA_VERSIONS.includes(schemaVersion)) {
+    errors.push({ field: "schemaVersion", message: `unsupported (this service understands: ${EVENT_SCHEMA_VERSIONS.join(", ")})` });
+  }
+  if (!isPlainObject(payload)) errors.push({ field: "payload", message: "must be an object" });
+  for (const name of Object.keys(body || {})) {
+    if (!EVENT_ENVELOPE_KEYS.includes(name)) warnings.push(`${name} is not part of the event envelope and was ignored`);
+  }
+  if (errors.length) return { type, schemaVersion, payload, errors, warnings };
+
+  const { schema, check } = EVENT_TYPES[type];
+  checkFields(schema, payload, "payload", errors, warnings);
+  const dropped = unknownBarberAssignments(payload, errors);
+  const kept = e => !dropped.has(assignmentIndex(e.field));
+  if (errors.some(kept)) return { type, schemaVersion, payload, errors, warnings };
+  const checkErrors = check ? check(payload).filter(kept) : [];
+  if (checkErrors.length || !dropped.size) return { type, schemaVersion, payload, errors: checkErrors, warnings };
+
+  for (const i of dropped) {
+    warnings.push(`payload.assignments[${i}] was dropped: unknown barber "${payload.assignments[i].barberId}" (not on this location's roster)`);
+  }
+  const assignments = payload.assignments.filter((_, i) => !dropped.has(i));
+  return { type, schemaVersion, payload: { ...payload, assignments }, errors: [], warnings };
+}
+
+// payload.assignments[3].memberIndex -> 3 (-1 for anything outside assignments)
+function assignmentIndex(field) {
+  const m = /^payload\.assignments\[(\d+)\]/.exec(field);
+  return m ? Number(m[1]) : -1;
+}
+
+// Indexes of assignments whose barberId isn't on the roster; empty when that's all of them (nothing left to send)
+function unknownBarberAssignments(payload, errors) {
+  const unknown = new Set(errors
+    .filter(e => /^payload\.assignments\[\d+\]\.barberId$/.test(e.field) && e.message.startsWith("unknown barber"))
+    .map(e => assignmentIndex(e.field)));
+  return Array.isArray(payload.assignments) && unknown.size < payload.assignments.length ? unknown : new Set();
+}
+
+// Field errors as a 400-tagged Error (same tagging idea as err.httpStatus on transport errors)
+function eventValidationError(errors) {
+  const err = new Error(`Invalid event: ${errors.map(e => `${e.field} ${e.message}`).join("; ")}`);
+  err.httpStatus = 400;
+  err.fieldErrors = errors;
+  return err;
+}
+
+// memberIndex counts people in the party, so it can't be past partySize
+function membersWithinParty(payload) {
+  const partySize = Number(payload.partySize);
+  if (!Number.isInteger(partySize)) return [];
+  return (payload.assignments || [])
+    .map((a, i) => (Number(a.memberIndex) > partySize
+      ? { field: `payload.assignments[${i}].memberIndex`, message: `is past partySize (${partySize})` }
+      : null))
+    .filter(Boolean);
+}
+
+// ---- registrations ----
+
+registerEventType("SPECIFIC_BARBER_REQUEST", {
+  planner: planSpecificBarberRequest,
+  templates: {
+    SBR_CLIENT_SINGLE: {
+      vars: ["clientName", "barberName"],
+      en: "{clientName}, you have requested {barberName}.",
+      es: "{clientName}, has solicitado a {barberName}."
+    },
+    SBR_CLIENT_MULTI: {
+      vars: ["clientName", "barberNamesCsv"],
+      en: "{clientName}, you have requested {barberNamesCsv}!",
+      es: "{clientName}, has solicitado a {barberNamesCsv}!"
+    },
+    SBR_BARBER_COMPACT: {
+      vars: ["clientName", "barberName", "membersNote", "declinedNote"],
+      en: "{clientName} has requested {barberName}{membersNote}{declinedNote}."
+    }
+  },
+  schema: {
+    ...CLIENT_FIELDS,
+    ...PARTY_FIELDS,
+    assignments: { type: "array", required: true, minItems: 1, items: ASSIGNMENT_ITEM }
+  },
+  check: membersWithinParty
+});
+
+registerEventType("CLIENT_REMOVED_FROM_KIOSK", {
+  planner: planClientRemovedFromKiosk,
+  templates: {
+    CRK_CLIENT: {
+      vars: ["clientName"],
+      en: "{clientName}, you have been removed from the waitlist. Feel free to sign in again when you're ready!",
+      es: "{clientName}, has sido eliminado de la lista de espera. ¡Puedes registrarte de nuevo cuando estés listo!"
+    }
+  },
+  schema: { ...CLIENT_FIELDS },
+  onDispatched: payload => closeRelayForClient(payload.clientPhone, "removed")
+});
+
+registerEventType("CLIENT_ASSIGNED", {
+  planner: planClientAssigned,
+  templates: {
+    CA_CLIENT_SINGLE: {
+      vars: ["clientName", "barberName"],
+      en: "{clientName}, you are assigned to {barberName}.",
+      es: "{clientName}, te asignaron a {barberName}."
+    },
+    CA_CLIENT_MULTI: {
+      vars: ["clientName", "barberNamesCsv"],
+      en: "{clientName}, you have been assigned to {barberNamesCsv}!",
+      es: "{clientName}, te asignaron a {barberNamesCsv}!"
+    },
+    CA_BARBER_COMPACT: {
+      vars: ["clientName", "barberName", "membersNote", "declinedNote"],
+      en: "{clientName} has been assigned to {barberName}{membersNote}{declinedNote}."
+    }
+  },
+  schema: {
+    ...CLIENT_FIELDS,
+    ...PARTY_FIELDS,
+    assignments: { type: "array", required: true, minItems: 1, items: ASSIGNMENT_ITEM }
+  },
+  check: membersWithinParty,
+  onDispatched: payload => {
+    // relay: assignment opens client <-> barber sessions
+    openRelaySessions(payload);
+    // wait-time estimate learns from each barber's assignment cadence
+    for (const barberId of new Set(payload.assignments.map(a => a.barberId))) recordAssignment(barberId);
+  }
+});
+
+registerEventType("CLIENT_PLACED_ON_WAITLIST", {
+  planner: planClientPlacedOnWaitlist,
+  templates: {
+    CPW_CLIENT_SINGLE: {
+      vars: ["clientName", "indexLabel", "etaMinutes", "etaNote"],
+      en: "{clientName} you have been placed on the waitlist. You're #{indexLabel} in line{etaNote}!",
+      es: "{clientName}, estás en la lista de espera. ¡Eres el #{indexLabel} en la fila{etaNote}!"
+    },
+    CPW_CLIENT_MULTI: {
+      vars: ["clientName", "barberNamesCsv", "etaMinutes", "etaNote"],
+      en: "{clientName}, you have been placed on the waitlist{etaNote}. {barberNamesCsv}!",
+      es: "{clientName}, estás en la lista de espera{etaNote}. {barberNamesCsv}!"
+    },
+    CPW_BARBER_COMPACT: {
+      vars: ["clientName", "membersNote", "declinedNote"],
+      en: "{clientName} has been placed on the waitlist{membersNote}{declinedNote}."
+    }
+  },
+  schema: {
+    ...CLIENT_FIELDS,
+    ...PARTY_FIELDS,
+    indexLabel: { type: "label" },
+    assignments: { type: "array", items: ASSIGNMENT_ITEM }
+  },
+  check: membersWithinParty
+});
+
+registerEventType("CLIENT_RE-WAITLISTED", {
+  planner: planClientReWaitlisted,
+  templates: {
+    CRW_CLIENT_SINGLE: {
+      vars: ["clientName"],
+      en: "{clientName}, you have been re-waitlisted.",
+      es: "{clientName}, te volvimos a poner en la lista de espera."
+    },
+    CRW_CLIENT_MULTI: {
+      vars: ["clientName", "barberNamesCsv"],
+      en: "{clientName}, you have been re-waitlisted {barberNamesCsv}!",
+      es: "{clientName}, te volvimos a poner en la lista de espera: {barberNamesCsv}!"
+    },
+    CRW_BARBER_COMPACT: {
+      vars: ["clientName", "indexLabel", "indexLabelNote", "membersNote", "declinedNote"],
+      en: "{clientName}{indexLabelNote} has been re-waitlisted{membersNote}{declinedNote}."
+    }
+  },
+  schema: {
+    ...CLIENT_FIELDS,
+    ...PARTY_FIELDS,
+    indexLabel: { type: "label" },
+    assignments: { type: "array", items: ASSIGNMENT_ITEM }
+  },
+  check: membersWithinParty,
+  onDispatched: payload => closeRelayForClient(payload.clientPhone, "removed")
+});
+
+registerEventType("CLIENT_NEXT_UP", {
+  planner: planClientNextUp,
+  templates: {
+    NU_CLIENT_SINGLE: {
+      vars: ["clientName", "barberName"],
+      en: "Elite Kutz: {clientName}, you're up next with {barberName}! Please head to the front.",
+      es: "Elite Kutz: {clientName}, ¡sigues tú con {barberName}! Por favor pasa al frente."
+    },
+    NU_CLIENT_MULTI: {
+      vars: ["clientName", "barberNamesCsv"],
+      en: "Elite Kutz: {clientName}, you're up next with {barberNamesCsv}! Please head to the front.",
+      es: "Elite Kutz: {clientName}, ¡sigues tú con {barberNamesCsv}! Por favor pasa al frente."
+    },
+    NU_CLIENT_ANY: {
+      vars: ["clientName"],
+      en: "Elite Kutz: {clientName}, you're up next! Please head to the front.",
+      es: "Elite Kutz: {clientName}, ¡sigues tú! Por favor pasa al frente."
+    }
+  },
+  schema: {
+    ...CLIENT_FIELDS,
+    assignments: { type: "array", items: ASSIGNMENT_ITEM }
+  }
+});
+
+registerEventType("CLIENT_NO_SHOW", {
+  planner: planClientNoShow,
+  templates: {
+    NS_CLIENT: {
+      vars: ["clientName"],
+      en: "Elite Kutz: {clientName}, we called you but couldn't find you, so you've been taken off the waitlist. Check in again at the kiosk when you're back.",
+      es: "Elite Kutz: {clientName}, te llamamos pero no te encontramos, así que te quitamos de la lista de espera. Regístrate de nuevo en el kiosco cuando regreses."
+    },
+    NS_BARBER_COMPACT: {
+      vars: ["clientName", "barberName", "membersNote"],
+      en: "{clientName} was a no-show for {barberName}{membersNote} and has been taken off the waitlist."
+    }
+  },
+  schema: {
+    ...CLIENT_FIELDS,
+    partySize: PARTY_FIELDS.partySize,
+    assignments: { type: "array", required: true, minItems: 1, items: ASSIGNMENT_ITEM }
+  },
+  check: membersWithinParty,
+  onDispatched: payload => closeRelayForClient(payload.clientPhone, "no-show")
+});
+
+registerEventType("BARBER_RUNNING_LATE", {
+  planner: planBarberRunningLate,
+  templates: {
+    BRL_CLIENT: {
+      vars: ["clientName", "barberName", "minutes"],
+      en: "Elite Kutz: {clientName}, {barberName} is running about {minutes} min behind. Thanks for your patience!",
+      es: "Elite Kutz: {clientName}, {barberName} va con unos {minutes} min de retraso. ¡Gracias por tu paciencia!"
+    },
+    BRL_BARBER: {
+      vars: ["barberName", "minutes", "count", "clientNamesCsv"],
+      en: "Elite Kutz: Told {count} waiting for {barberName} about the {minutes} min delay: {clientNamesCsv}."
+    }
+  },
+  schema: {
+    barberId: { type: "barberId", required: true },
+    minutes: { type: "integer", required: true, min: 1, max: 240 },
+    waiting: { type: "array", required: true, items: WAITING_ITEM }
+  }
+});
+
+registerEventType("SHOP_CLOSING_SOON", {
+  planner: planShopClosingSoon,
+  templates: {
+    SCS_CLIENT: {
+      vars: ["clientName", "minutes", "closeTime"],
+      en: "Elite Kutz: {clientName}, heads up: we close at {closeTime} (about {minutes} min). We'll do our best to get to you. Reply LEAVE if you'd rather come back another day.",
+      es: "Elite Kutz: {clientName}, aviso: cerramos a las {closeTime} (en unos {minutes} min). Haremos lo posible por atenderte. Responde LEAVE si prefieres volver otro día."
+    }
+  },
+  schema: {
+    minutes: { type: "integer", required: true, min: 1, max: 240 },
+    closeTime: { type: "string", maxLength: 20 },
+    waiting: { type: "array", required: true, items: WAITING_ITEM }
+  }
+});
+
+// ======= Fan-out (event -> planned texts) =======
+// Turns an event { type, payload } into an array of SMS sends via its registered planner.
+// Each planner returns: [{ to, type, text }, ...]
+// The payload is checked against the type's schema first; a bad one throws eventValidationError (httpStatus 400).
+// Planners get the checked payload (unknown-barber assignments already dropped).
+function planMessages(type, payload) {
+  const { payload: checked, errors } = validateEvent({ type, payload });
+  if (errors.length) throw eventValidationError(errors);
+  return EVENT_TYPES[type].planner(checked);
+}
+
+// Just the provider's error text from an Infobip error body (not the whole payload) for the logs
+function infobipErrorText(bodyText) {
+  try {
+    const e = JSON.parse(bodyText)?.requestError?.serviceException;
+    if (e) return [e.messageId, e.text].filter(Boolean).join(": ");
+  } catch (_) {}
+  return `[${String(bodyText).length} chars]`;
+}
+
+// --- util: validate Infobip accepted the outbound message ---
+function assertInfobipAccepted(bodyText) {
+  let parsed;
+  try {
+    parsed = JSON.parse(bodyText);
+  } catch {
+    const err = new Error("Infobip returned non-JSON body");
+    err.unknownOutcome = true; // a 200 we can't read may still have been sent
+    throw err;
+  }
+
+  const msgs = parsed?.messages;
   if (!Array.isArray(msgs) || msgs.length === 0) {
     throw new Error("Infobip response missing messages[]");
   }
 
-  const rejected = msgs.filter((m) => {
-    const groupId = Number(m?.status?.groupId);
-    // 2=UNDELIVERABLE, 4=EXPIRED, 5=REJECTED
-    return groupId === 2 || groupId === 4 || groupId === 5;
+  const err = infobipRejectionError(msgs);
+  if (err) throw err;
+  return parsed;
+}
+
+// Error for the destinations Infobip refused outright, or null
+function infobipRejectionError(msgs) {
+  const rejected = msgs.filter((m) => {
+    const groupId = Number(m?.status?.groupId);
+    // 2=UNDELIVERABLE, 4=EXPIRED, 5=REJECTED
+    return groupId === 2 || groupId === 4 || groupId === 5;
+  });
+  if (!rejected.length) return null;
+
+  const detail = rejected
+    .map((m) => m?.status?.description || m?.status?.name || "REJECTED")
+    .join("; ");
+  const err = new Error(`Infobip rejected message: ${detail}`);
+  err.groupId = Number(rejected[0]?.status?.groupId);
+  return err;
+}
+
+// ======= SMS ENCODING / SEGMENTS =======
+// GSM-7 texts fit 160 chars in one segment (153 per part when split). One character outside
+// GSM-7 (em dash, curly quote, emoji...) flips the whole message to UCS-2: 70 / 67 per part.
+const GSM7_BASIC =
+  "@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !\"#¤%&'()*+,-./0123456789:;<=>?" +
+  "¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà";
+const GSM7_EXTENDED = "^{}\\[~]|€\f"; // each costs 2 septets (escape + char)
+const GSM7_BASIC_SET = new Set(GSM7_BASIC);
+const GSM7_EXTENDED_SET = new Set(GSM7_EXTENDED);
+
+const SMS_COST_PER_SEGMENT = Number(process.env.SMS_COST_PER_SEGMENT || 0.0079);
+const SMS_COST_CURRENCY = process.env.SMS_COST_CURRENCY || "USD";
+
+function isGsm7Char(ch) {
+  return GSM7_BASIC_SET.has(ch) || GSM7_EXTENDED_SET.has(ch);
+}
+
+// -> { encoding: "GSM-7" | "UCS-2", length, segments, perSegment, nonGsmChars }
+function analyzeSmsText(text) {
+  const str = String(text || "");
+  const nonGsm = [...new Set([...str].filter(ch => !isGsm7Char(ch)))];
+
+  if (!nonGsm.length) {
+    const length = [...str].reduce((n, ch) => n + (GSM7_EXTENDED_SET.has(ch) ? 2 : 1), 0);
+    const segments = length <= 160 ? 1 : Math.ceil(length / 153);
+    return { encoding: "GSM-7", length, segments, perSegment: segments > 1 ? 153 : 160, nonGsmChars: [] };
+  }
+
+  const length = str.length; // UTF-16 code units, which is what UCS-2 bills
+  const segments = length <= 70 ? 1 : Math.ceil(length / 67);
+  return { encoding: "UCS-2", length, segments, perSegment: segments > 1 ? 67 : 70, nonGsmChars: nonGsm };
+}
+
+function estimateSmsCost(segments) {
+  return Math.round(segments * SMS_COST_PER_SEGMENT * 10000) / 10000;
+}
+
+// --- GSM-7 rendering (runs in sendSms before anything goes out) ---
+// SMS_TRANSLITERATE=0            -> never touch text
+// SMS_UNICODE_TYPES=CUSTOM,...   -> template types that keep their characters as written
+// SMS_SEGMENT_BUDGET=2           -> warn when a text needs more segments than this
+// SMS_SEGMENT_BUDGETS=READY:1    -> per-type budgets (barber compact texts default to 1)
+// SMS_TRUNCATE_BARBER_NAMES=1    -> shorten long client names so barber compact texts stay 1 segment
+const GSM7_TRANSLITERATIONS = {
+  "—": "-", "–": "-", "‐": "-", "‑": "-", "−": "-", "•": "-",
+  "‘": "'", "’": "'", "‚": "'", "′": "'", "`": "'", "´": "'",
+  "“": '"', "”": '"', "„": '"', "″": '"', "«": '"', "»": '"',
+  "…": "...", "\u00A0": " ", "\u2009": " ", "\u202F": " ",
+  "\u200B": "", "\u200C": "", "\u200D": "", "\uFEFF": "",
+  "™": "TM", "®": "(R)", "©": "(C)", "ç": "c", "º": "o", "ª": "a"
+};
+
+function splitCsv(v) {
+  return String(v || "").split(",").map(x => x.trim()).filter(Boolean);
+}
+
+function parseTypeBudgets(v) {
+  return Object.fromEntries(splitCsv(v).map(pair => {
+    const [type, n] = pair.split(":").map(x => x.trim());
+    return [type, Number(n)];
+  }).filter(([type, n]) => type && n > 0));
+}
+
+const SMS_TRANSLITERATE = process.env.SMS_TRANSLITERATE !== "0";
+const SMS_UNICODE_TYPES = splitCsv(process.env.SMS_UNICODE_TYPES);
+const SMS_SEGMENT_BUDGET = Number(process.env.SMS_SEGMENT_BUDGET || 2);
+const SMS_SEGMENT_BUDGETS = parseTypeBudgets(process.env.SMS_SEGMENT_BUDGETS);
+const SMS_TRUNCATE_BARBER_NAMES = process.env.SMS_TRUNCATE_BARBER_NAMES === "1";
+
+function toGsm7(text) {
+  let out = "";
+  for (const ch of String(text || "")) {
+    if (isGsm7Char(ch)) { out += ch; continue; }
+    if (GSM7_TRANSLITERATIONS[ch] !== undefined) { out += GSM7_TRANSLITERATIONS[ch]; continue; }
+    // accented letters GSM-7 lacks (á, í, ó, ú, ...) -> base letter; anything else stays as-is
+    const base = ch.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+    out += base && [...base].every(isGsm7Char) ? base : ch;
+  }
+  return out;
+}
+
+function segmentBudgetFor(type) {
+  if (type && SMS_SEGMENT_BUDGETS[type]) return SMS_SEGMENT_BUDGETS[type];
+  if (type && /_BARBER_COMPACT$/.test(type)) return 1;
+  return SMS_SEGMENT_BUDGET;
+}
+
+// -> { text, transliterated, info, overBudget }
+function prepareSmsText(text, type = null) {
+  const original = String(text || "");
+  const keepUnicode = !SMS_TRANSLITERATE || (type && SMS_UNICODE_TYPES.includes(type));
+  const out = keepUnicode ? original : toGsm7(original);
+  const info = analyzeSmsText(out);
+  const budget = segmentBudgetFor(type);
+  const overBudget = info.segments > budget;
+  if (overBudget) {
+    log.warn("SMS over segment budget", { type, segments: info.segments, budget, encoding: info.encoding, length: info.length });
+  }
+  return { text: out, transliterated: out !== original, info, overBudget };
+}
+
+// Barber compact texts should be one segment; optionally trim the client's name until they are.
+function renderBarberCompact(key, vars) {
+  let text = renderTemplate(key, vars);
+  if (!SMS_TRUNCATE_BARBER_NAMES) return text;
+
+  const fullName = String(vars.clientName || "");
+  let keep = fullName.length;
+  while (keep > 3 && analyzeSmsText(toGsm7(text)).segments > 1) {
+    keep--;
+    text = renderTemplate(key, { ...vars, clientName: fullName.slice(0, keep).trimEnd() + "." });
+  }
+  return text;
+}
+
+// A timed-out request may still have reached the provider, and retrying it could double-text:
+// unknownOutcome keeps the outbox from doing that (single sends and batches alike)
+function markTimeoutUnknown(err) {
+  if (err?.name === "TimeoutError" || err?.name === "AbortError") err.unknownOutcome = true;
+  return err;
+}
+
+// ======= SMS TRANSPORTS (SMS_TRANSPORT=infobip | twilio | memory | file) =======
+// A transport is { name, from, send({ to, text, from? }) } (from overrides the default sender per location) and send() resolves to an Infobip-shaped
+// { messages: [{ to, messageId, status }] } so delivery tracking doesn't care who sent it.
+// Failures throw with err.httpStatus (HTTP errors) or err.groupId (provider rejected the message),
+// which is what the outbox uses to decide retry vs dead-letter. An HTTP error's message carries only the
+// provider's short error text; the raw response is on err.providerBody (never logged, never returned).
+// healthCheck() proves the credentials work without sending anything (used by /ready).
+// Optional sendBatch([{ to, text }], from) sends many in one request and resolves to one
+// { message } | { err } per item, in order (it throws only when the whole request failed).
+
+function createInfobipTransport() {
+  async function postAdvanced(messages) {
+    let res, bodyText;
+    try {
+      res = await fetch(`${BASE_URL}/sms/2/text/advanced`, {
+        method: "POST",
+        signal: AbortSignal.timeout(INFOBIP_TIMEOUT_MS),
+        headers: {
+          Authorization: API_KEY, // must include "App "
+          "Content-Type": "application/json",
+          Accept: "application/json",
+        },
+        body: JSON.stringify({
+          messages: messages.map(m => ({
+            ...m,
+            ...(INFOBIP_DLR_URL ? { notifyUrl: INFOBIP_DLR_URL, notifyContentType: "application/json" } : {})
+          })),
+        }),
+      });
+      bodyText = await res.text();
+    } catch (err) {
+      throw markTimeoutUnknown(err);
+    }
+
+    if (!res.ok) {
+      log.error("<- Infobip ERROR", { status: res.status, error: infobipErrorText(bodyText) });
+      const err = new Error(`Infobip HTTP ${res.status}: ${infobipErrorText(bodyText)}`);
+      err.httpStatus = res.status;
+      err.provider = "Infobip";
+      err.providerBody = bodyText;
+      throw err;
+    }
+    return bodyText;
+  }
+
+  return {
+    name: "infobip",
+    from: SENDER,
+    async send({ to, text, from = SENDER }) {
+      const bodyText = await postAdvanced([{ destinations: [{ to }], from, text }]);
+      const parsed = assertInfobipAccepted(bodyText);
+      log.info("<- Infobip OK", {
+        messages: parsed.messages.map(m => ({ to: m.to, messageId: m.messageId, status: m.status?.name }))
+      });
+      return parsed;
+    },
+    // Identical texts (the usual fan-out) share one message with several destinations. Each destination
+    // carries our own messageId, which Infobip echoes back, so results map to items even if a number repeats.
+    async sendBatch(items, from = SENDER) {
+      const ids = items.map(() => randomUUID());
+      const byText = new Map();
+      items.forEach((item, i) => {
+        if (!byText.has(item.text)) byText.set(item.text, []);
+        byText.get(item.text).push({ to: item.to, messageId: ids[i] });
+      });
+      // postAdvanced marks a timeout unknownOutcome; an unreadable 200 says no more about whether
+      // Infobip took the request, and retrying would re-text the whole chunk
+      const bodyText = await postAdvanced([...byText].map(([text, destinations]) => ({ destinations, from, text })));
+
+      let parsed;
+      try {
+        parsed = JSON.parse(bodyText);
+      } catch {
+        const err = new Error("Infobip returned non-JSON body");
+        err.unknownOutcome = true;
+        throw err;
+      }
+      const byId = new Map((parsed?.messages || []).map(m => [m.messageId, m]));
+      log.info("<- Infobip batch OK", {
+        messages: byText.size,
+        destinations: items.length,
+        statuses: [...byId.values()].map(m => ({ to: m.to, messageId: m.messageId, status: m.status?.name }))
+      });
+
+      return ids.map(id => {
+        const m = byId.get(id);
+        if (!m) {
+          // it may well have gone out; unknownOutcome keeps the outbox from sending it twice
+          const err = new Error("Infobip response has no status for this destination");
+          err.unknownOutcome = true;
+          return { err };
+        }
+        const err = infobipRejectionError([m]);
+        return err ? { err } : { message: m };
+      });
+    },
+    async healthCheck() {
+      const res = await fetch(`${BASE_URL}/account/1/balance`, {
+        signal: AbortSignal.timeout(READY_TIMEOUT_MS),
+        headers: { Authorization: API_KEY, Accept: "application/json" }
+      });
+      if (res.status === 401 || res.status === 403) return { ok: false, error: `Infobip rejected the API key (HTTP ${res.status})` };
+      if (!res.ok) return { ok: false, error: `Infobip HTTP ${res.status}` };
+      return { ok: true };
+    }
+  };
+}
+
+function createTwilioTransport() {
+  const sid = process.env.TWILIO_ACCOUNT_SID || "";
+  const defaultFrom = process.env.TWILIO_FROM || SENDER;
+  const auth = "Basic " + Buffer.from(`${sid}:${process.env.TWILIO_AUTH_TOKEN || ""}`).toString("base64");
+
+  return {
+    name: "twilio",
+    from: defaultFrom,
+    async send({ to, text, from = defaultFrom }) {
+      const form = new URLSearchParams({ To: to, From: from, Body: text });
+      if (process.env.TWILIO_STATUS_CALLBACK_URL) form.set("StatusCallback", process.env.TWILIO_STATUS_CALLBACK_URL);
+
+      let res, bodyText;
+      try {
+        res = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${encodeURIComponent(sid)}/Messages.json`, {
+          method: "POST",
+          signal: AbortSignal.timeout(INFOBIP_TIMEOUT_MS),
+          headers: {
+            Authorization: auth,
+            "Content-Type": "application/x-www-form-urlencoded",
+            Accept: "application/json",
+          },
+          body: form.toString(),
+        });
+        bodyText = await res.text();
+      } catch (err) {
+        throw markTimeoutUnknown(err);
+      }
+
+      if (!res.ok) {
+        log.error("<- Twilio ERROR", { status: res.status, body: bodyText });
+        let detail = null;
+        try { detail = JSON.parse(bodyText)?.message; } catch (_) {}
+        const err = new Error(`Twilio HTTP ${res.status}: ${detail || `[${bodyText.length} chars]`}`);
+        err.httpStatus = res.status;
+        err.provider = "Twilio";
+        err.providerBody = bodyText;
+        throw err;
+      }
+
+      let j = null;
+      try { j = JSON.parse(bodyText); } catch (_) {}
+      if (!j?.sid) throw new Error("Twilio response missing sid");
+      if (j.status === "failed" || j.status === "undelivered") {
+        const err = new Error(`Twilio rejected message: ${j.error_message || j.status}`);
+        err.groupId = 5;
+        throw err;
+      }
+
+      log.info("<- Twilio OK", { sid: j.sid, status: j.status });
+      return {
+        messages: [{ to: j.to || to, messageId: j.sid, status: { groupId: 1, groupName: "PENDING", name: String(j.status || "queued").toUpperCase() } }]
+      };
+    },
+    async healthCheck() {
+      const res = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${encodeURIComponent(sid)}.json`, {
+        signal: AbortSignal.timeout(READY_TIMEOUT_MS),
+        headers: { Authorization: auth }
+      });
+      if (res.status === 401 || res.status === 403) return { ok: false, error: `Twilio rejected the credentials (HTTP ${res.status})` };
+      if (!res.ok) return { ok: false, error: `Twilio HTTP ${res.status}` };
+      return { ok: true };
+    }
+  };
+}
+
+// memory/file: record instead of send. Failure simulation (for local dev + tests):
+//   MOCK_SMS_REJECT_TO=+1555...,+1555...   -> those numbers get a groupId 5 rejection
+//   MOCK_SMS_HTTP_ERROR_TO=+1555...        -> those numbers get an HTTP error (MOCK_SMS_HTTP_STATUS, default 500)
+//   POST /api/_mock/sms/behavior           -> change the above at runtime, or queue { next: ["http","reject",...] }
+// sendBatch works like Infobip's: rejections are per destination, an HTTP error fails the whole request.
+const MOCK_SMS_MAX = Number(process.env.MOCK_SMS_MAX || 1000);
+
+function csvPhones(v) {
+  return String(v || "").split(",").map(x => normalizeUS(x.trim())).filter(p => p && p !== "+");
+}
+
+function createMockTransport({ file = false } = {}) {
+  const sent = [];
+  const behavior = {
+    rejectTo: csvPhones(process.env.MOCK_SMS_REJECT_TO),
+    httpErrorTo: csvPhones(process.env.MOCK_SMS_HTTP_ERROR_TO),
+    httpStatus: Number(process.env.MOCK_SMS_HTTP_STATUS || 500),
+    next: [] // one-shot failures consumed in order: "reject" | "http"
+  };
+  let seq = 0;
+
+  // "http" | "reject" | "sent" for one destination; consumes one queued `next` failure
+  function outcomeFor(to) {
+    const forced = behavior.next.shift();
+    if (forced === "http" || behavior.httpErrorTo.includes(to)) return "http";
+    if (forced === "reject" || behavior.rejectTo.includes(to)) return "reject";
+    return "sent";
+  }
+
+  function httpError() {
+    const err = new Error(`Mock HTTP ${behavior.httpStatus}: simulated transport error`);
+    err.httpStatus = behavior.httpStatus;
+    return err;
+  }
+
+  function rejectedError() {
+    const err = new Error("Mock rejected message: simulated REJECTED");
+    err.groupId = 5;
+    return err;
+  }
+
+  function newRecord(to, from, text) {
+    return { at: new Date().toISOString(), to, from, text, messageId: `mock-${Date.now()}-${++seq}` };
+  }
+
+  function acceptedMessage(record) {
+    return { to: record.to, messageId: record.messageId, status: { groupId: 1, groupName: "PENDING", name: "PENDING_MOCK" } };
+  }
+
+  return {
+    name: file ? "file" : "memory",
+    from: SENDER || "+10000000000",
+    sent,
+    behavior,
+    async send({ to, text, from = this.from }) {
+      const outcome = outcomeFor(to);
+      const record = newRecord(to, from, text);
+
+      if (outcome === "http") {
+        record.outcome = `http_${behavior.httpStatus}`;
+        this.record(record);
+        throw httpError();
+      }
+      if (outcome === "reject") {
+        record.outcome = "rejected";
+        this.record(record);
+        throw rejectedError();
+      }
+
+      record.outcome = "sent";
+      this.record(record);
+      log.info(`<- ${this.name} transport recorded`, { to, messageId: record.messageId });
+      return { messages: [acceptedMessage(record)] };
+    },
+    async sendBatch(items, from = this.from) {
+      const outcomes = items.map(item => outcomeFor(item.to));
+      const records = items.map(item => newRecord(item.to, from, item.text));
+
+      if (outcomes.includes("http")) {
+        for (const record of records) this.record({ ...record, outcome: `http_${behavior.httpStatus}` });
+        throw httpError();
+      }
+
+      log.info(`<- ${this.name} transport recorded batch`, { count: items.length });
+      return records.map((record, i) => {
+        record.outcome = outcomes[i] === "reject" ? "rejected" : "sent";
+        this.record(record);
+        return outcomes[i] === "reject" ? { err: rejectedError() } : { message: acceptedMessage(record) };
+      });
+    },
+    async healthCheck() {
+      return { ok: true, note: "nothing is sent by this transport" };
+    },
+    record(entry) {
+      sent.push(entry);
+      if (sent.length > MOCK_SMS_MAX) sent.splice(0, sent.length - MOCK_SMS_MAX);
+      if (file) {
+        try {
+          fs.mkdirSync(DATA_DIR, { recursive: true });
+          fs.appendFileSync(path.join(DATA_DIR, "sms-outbox.jsonl"), JSON.stringify(entry) + "\n");
+        } catch (e) {
+          log.error("file transport write failed:", e);
+        }
+      }
+    }
+  };
+}
+
+// An unknown name stops the boot: falling back to Infobip would turn a typo'd dev setting into real texts
+function createSmsTransport(kind) {
+  switch (kind) {
+    case "twilio":  return createTwilioTransport();
+    case "memory":  return createMockTransport();
+    case "file":    return createMockTransport({ file: true });
+    case "infobip": return createInfobipTransport();
+    default:
+      throw new Error(`Unknown SMS_TRANSPORT "${kind}" (use infobip | twilio | memory | file)`);
+  }
+}
+
+const smsTransport = createSmsTransport(SMS_TRANSPORT);
+log.info("SMS transport", { transport: smsTransport.name });
+
+// ======= DELIVERY TRACKING (messageId -> what we sent + final DLR status) =======
+const DELIVERY_FILE = "deliveries.json";
+const DELIVERY_MAX = Number(process.env.DELIVERY_MAX || 5000);
+const deliveries = loadJson(DELIVERY_FILE, {}); // { [messageId]: { messageId, to, eventType, templateType, sentAt, status, ... } }
+
+function saveDeliveries() {
+  const ids = Object.keys(deliveries);
+  // insertion order == send order, so the oldest are first
+  for (const id of ids.slice(0, Math.max(0, ids.length - DELIVERY_MAX))) delete deliveries[id];
+  saveJson(DELIVERY_FILE, deliveries);
+}
+
+function trackSentMessages(parsed, { to, eventType, templateType }) {
+  const sentAt = new Date().toISOString();
+  for (const m of parsed?.messages || []) {
+    if (!m?.messageId) continue;
+    deliveries[m.messageId] = {
+      messageId: m.messageId,
+      location: currentLocation().id,
+      to: normalizeUS(m.to || to),
+      eventType: eventType || null,
+      templateType: templateType || null,
+      sentAt,
+      status: m.status?.groupName || "PENDING",
+      statusName: m.status?.name || null,
+      description: m.status?.description || null,
+      error: null,
+      doneAt: null
+    };
+  }
+  saveDeliveries();
+}
+
+function applyDeliveryReport(r) {
+  const messageId = r?.messageId;
+  if (!messageId) return null;
+  const entry = deliveries[messageId] || {
+    messageId,
+    to: normalizeUS(r.to),
+    eventType: null,
+    templateType: null,
+    sentAt: r.sentAt || null
+  };
+  const err = r.error && Number(r.error.id) !== 0 ? r.error : null; // Infobip sends id 0 "NO_ERROR"
+  Object.assign(entry, {
+    status: r.status?.groupName || entry.status || "UNKNOWN",
+    statusName: r.status?.name || null,
+    description: r.status?.description || null,
+    error: err ? { name: err.name, description: err.description, permanent: !!err.permanent } : null,
+    doneAt: r.doneAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  });
+  deliveries[messageId] = entry;
+  return entry;
+}
+
+// ======= MESSAGE HISTORY (every outbound + inbound text; data/messages.jsonl) =======
+const HISTORY_FILE = "messages.jsonl";
+const HISTORY_MAX = Number(process.env.HISTORY_MAX || 20000);
+const messageHistory = loadJsonLines(HISTORY_FILE);
+
+function recordMessage(entry) {
+  const row = { id: randomUUID(), at: new Date().toISOString(), location: currentLocation().id, ...entry };
+  messageHistory.push(row);
+  if (messageHistory.length > HISTORY_MAX * 1.1) {
+    // compact now and then rather than rewriting the file on every message
+    messageHistory.splice(0, messageHistory.length - HISTORY_MAX);
+    rewriteJsonLines(HISTORY_FILE, messageHistory);
+  } else {
+    appendJsonLine(HISTORY_FILE, row);
+  }
+  return row;
+}
+
+function recordOutboundMessage({ to, text, eventType, templateType, messageId = null, result, error = null }) {
+  return recordMessage({
+    direction: "outbound",
+    phone: normalizeUS(to),
+    from: currentLocation().sender || smsTransport.from,
+    to: normalizeUS(to),
+    eventType: eventType || null,
+    templateType: templateType || null,
+    text,
+    messageId,
+    result,
+    error
+  });
+}
+
+function recordInboundMessage({ from, to, text, messageId = null, matched, at, error = null }) {
+  return recordMessage({
+    direction: "inbound",
+    phone: normalizeUS(from),
+    from: normalizeUS(from),
+    to: to || currentLocation().sender || smsTransport.from,
+    text,
+    messageId,
+    matched,
+    error,
+    ...(at ? { at } : {})
+  });
+}
+
+// --- util: send SMS via the configured transport (strong logging) ---
+// Opted-out numbers are skipped (returns { suppressed: true }) unless ignoreOptOut is set,
+// which is only for the HELP reply carriers require us to answer.
+// eventType/templateType are only bookkeeping so delivery reports can be tied back to the event.
+// Opt-out check + text prep, shared by sendSms and sendSmsBatch -> { toNorm, suppressed } | { toNorm, prepared }
+function prepareOutboundSms({ to, text, ignoreOptOut = false, eventType = null, templateType = null }) {
+  const toNorm = normalizeUS(to);
+  if (!toNorm) throw new Error("Missing/invalid destination phone");
+
+  if (!ignoreOptOut && isOptedOut(toNorm)) {
+    log.info("-> SMS suppressed (opted out)", { to: toNorm });
+    smsMessagesTotal.inc({ event_type: eventType || "none", result: "suppressed", location: currentLocation().id });
+    recordOutboundMessage({ to: toNorm, text, eventType, templateType, result: "suppressed" });
+    return { toNorm, suppressed: { suppressed: true, to: toNorm } };
+  }
+  return { toNorm, prepared: prepareSmsText(text, templateType) };
+}
+
+function recordSmsFailure({ eventType = null, templateType = null }, { toNorm, prepared }, err) {
+  // groupId set == the provider refused this message; anything else is a transport failure
+  smsMessagesTotal.inc({ event_type: eventType || "none", result: err?.groupId ? "rejected" : "failed", location: currentLocation().id });
+  recordOutboundMessage({ to: toNorm, text: prepared.text, eventType, templateType, result: "failed", error: String(err?.message || err) });
+}
+
+function recordSmsSent({ eventType = null, templateType = null }, { toNorm, prepared }, parsed) {
+  smsMessagesTotal.inc({ event_type: eventType || "none", result: "sent", location: currentLocation().id });
+  trackSentMessages(parsed, { to: toNorm, eventType, templateType });
+  recordOutboundMessage({
+    to: toNorm,
+    text: prepared.text,
+    eventType,
+    templateType,
+    messageId: parsed?.messages?.[0]?.messageId || null,
+    result: "sent"
+  });
+}
+
+async function sendSms(msg) {
+  try {
+    const out = prepareOutboundSms(msg);
+    if (out.suppressed) return out.suppressed;
+
+    const { toNorm, prepared } = out;
+    const from = currentLocation().sender || smsTransport.from;
+    log.info("-> sending SMS", {
+      to: toNorm,
+      from,
+      location: currentLocation().id,
+      via: smsTransport.name,
+      encoding: prepared.info.encoding,
+      segments: prepared.info.segments,
+      preview: prepared.text.slice(0, 80)
+    });
+
+    let parsed;
+    try {
+      parsed = await timed(smsSendSeconds, { transport: smsTransport.name }, () =>
+        smsTransport.send({ to: toNorm, text: prepared.text, from })
+      );
+    } catch (err) {
+      recordSmsFailure(msg, out, err);
+      throw err;
+    }
+    recordSmsSent(msg, out, parsed);
+    return parsed;
+  } catch (err) {
+    log.error("sendSms() failed:", err);
+    throw err;
+  }
+}
+
+// Many texts in as few provider requests as possible (needs smsTransport.sendBatch), with the same
+// opt-out check and bookkeeping per text as sendSms. -> [{ result } | { err }] in input order; never throws.
+async function sendSmsBatch(msgs) {
+  const out = new Array(msgs.length);
+  const ready = [];
+  msgs.forEach((msg, i) => {
+    try {
+      const p = prepareOutboundSms(msg);
+      if (p.suppressed) out[i] = { result: p.suppressed };
+      else ready.push({ i, msg, p });
+    } catch (err) {
+      out[i] = { err };
+    }
+  });
+
+  const from = currentLocation().sender || smsTransport.from;
+  for (let start = 0; start < ready.length; start += SMS_BATCH_MAX) {
+    const chunk = ready.slice(start, start + SMS_BATCH_MAX);
+    log.info("-> sending SMS batch", {
+      count: chunk.length,
+      to: chunk.map(c => c.p.toNorm),
+      from,
+      location: currentLocation().id,
+      via: smsTransport.name
+    });
+
+    let results;
+    try {
+      results = await timed(smsSendSeconds, { transport: smsTransport.name }, () =>
+        smsTransport.sendBatch(chunk.map(c => ({ to: c.p.toNorm, text: c.p.prepared.text })), from)
+      );
+    } catch (err) {
+      log.error("sendSmsBatch() request failed:", err);
+      results = chunk.map(() => ({ err }));
+    }
+
+    chunk.forEach((c, k) => {
+      const { message, err } = results[k];
+      if (err) {
+        log.warn("sendSmsBatch() message failed", { to: c.p.toNorm, err: String(err?.message || err) });
+        recordSmsFailure(c.msg, c.p, err);
+        out[c.i] = { err };
+        return;
+      }
+      const parsed = { messages: [message] };
+      recordSmsSent(c.msg, c.p, parsed);
+      out[c.i] = { result: parsed };
+    });
+  }
+  return out;
+}
+
+// What an API caller is told about a failed send: provider HTTP errors stay in the server log
+function publicSendError(err) {
+  if (err?.provider) return `SMS provider error (HTTP ${err.httpStatus})`;
+  return String(err?.message || err);
+}
+
+// ======= DURABLE OUTBOUND QUEUE (/events fan-out) =======
+// Every planned message is written to disk before we try it, so a crash or restart mid fan-out
+// just means the worker picks it up again on boot. Transient failures (HTTP 5xx/429, timeouts,
+// network errors) back off exponentially; Infobip rejections and other 4xx go straight to dead.
+const OUTBOX_FILE = "outbox.json";
+const OUTBOX_MAX_ATTEMPTS    = Number(process.env.OUTBOX_MAX_ATTEMPTS || 5);
+const OUTBOX_BACKOFF_BASE_MS = Number(process.env.OUTBOX_BACKOFF_BASE_MS || 5000);
+const OUTBOX_BACKOFF_MAX_MS  = Number(process.env.OUTBOX_BACKOFF_MAX_MS || 10 * 60 * 1000);
+const OUTBOX_POLL_MS         = Number(process.env.OUTBOX_POLL_MS || 5000);
+const OUTBOX_DEAD_MAX        = Number(process.env.OUTBOX_DEAD_MAX || 1000);
+
+const outbox = loadJson(OUTBOX_FILE, { pending: [], dead: [] });
+const outboxInFlight = new Set(); // ids currently being sent (avoid double-sends from worker + /events)
+
+function saveOutbox() {
+  if (outbox.dead.length > OUTBOX_DEAD_MAX) outbox.dead.splice(0, outbox.dead.length - OUTBOX_DEAD_MAX);
+  saveJson(OUTBOX_FILE, outbox);
+}
+
+function isRetryableSendError(err) {
+  if (err?.groupId) return false;                         // Infobip said no (e.g. groupId 5 REJECTED)
+  if (err?.unknownOutcome) return false;                  // may have gone out; a retry could double-text
+  const status = Number(err?.httpStatus);
+  if (status) return status >= 500 || status === 429;     // other 4xx won't fix themselves
+  if (/Missing\/invalid destination/.test(String(err?.message))) return false;
+  return true;                                            // timeouts / network errors
+}
+
+function outboxBackoffMs(attempts) {
+  return Math.min(OUTBOX_BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1), OUTBOX_BACKOFF_MAX_MS);
+}
+
+function enqueueOutbound(messages, { eventType, campaignId } = {}) {
+  const now = new Date().toISOString();
+  const items = messages.map(m => ({
+    id: randomUUID(),
+    location: currentLocation().id,
+    reqId: currentRequestId(),
+    eventType: eventType || null,
+    ...(campaignId ? { campaignId } : {}),
+    type: m.type || null,
+    to: m.to,
+    text: m.text,
+    attempts: 0,
+    createdAt: now,
+    nextAttemptAt: now,
+    lastError: null
+  }));
+  outbox.pending.push(...items);
+  saveOutbox();
+  return items;
+}
+
+// One delivery attempt. Resolves to { status: "sent" | "suppressed" | "retrying" | "dead", ... }
+async function attemptOutbound(item) {
+  if (outboxInFlight.has(item.id)) return { status: "in_flight" };
+  outboxInFlight.add(item.id);
+  try {
+    // the worker has no request context; each item carries the location it was queued for
+    const result = await withRequestId(item.reqId, () => withLocation(getLocationById(item.location), () =>
+      sendSms({ to: item.to, text: item.text, eventType: item.eventType, templateType: item.type })
+    ));
+    return settleOutbound(item, { result });
+  } catch (err) {
+    return settleOutbound(item, { err });
+  } finally {
+    outboxInFlight.delete(item.id);
+  }
+}
+
+// First attempt for a fan-out's items in batched provider requests where the transport can
+// (smsTransport.sendBatch), else one by one. Items must belong to the current location, as
+// dispatchEvent's do. Same per-item outcome as attemptOutbound.
+async function attemptOutboundBatch(items) {
+  if (!smsTransport.sendBatch || items.length < 2) return Promise.all(items.map(item => attemptOutbound(item)));
+
+  const free = items.filter(item => !outboxInFlight.has(item.id));
+  for (const item of free) outboxInFlight.add(item.id);
+  try {
+    const sent = await sendSmsBatch(free.map(item => ({ to: item.to, text: item.text, eventType: item.eventType, templateType: item.type })));
+    const outcomes = new Map(free.map((item, k) => [item.id, settleOutbound(item, sent[k])]));
+    return items.map(item => outcomes.get(item.id) || { status: "in_flight" });
+  } finally {
+    for (const item of free) outboxInFlight.delete(item.id);
+  }
+}
+
+// After one attempt: done (sent / suppressed), retry later, or dead-letter
+function settleOutbound(item, { result, err }) {
+  if (!err) {
+    outbox.pending = outbox.pending.filter(x => x.id !== item.id);
+    saveOutbox();
+    return { status: result?.suppressed ? "suppressed" : "sent", result };
+  }
+
+  item.attempts++;
+  item.lastError = String(err?.message || err);
+  item.lastAttemptAt = new Date().toISOString();
+
+  if (isRetryableSendError(err) && item.attempts < OUTBOX_MAX_ATTEMPTS) {
+    item.nextAttemptAt = new Date(Date.now() + outboxBackoffMs(item.attempts)).toISOString();
+    saveOutbox();
+    log.warn("Outbox retry scheduled", { id: item.id, to: item.to, attempts: item.attempts, nextAttemptAt: item.nextAttemptAt });
+    return { status: "retrying", err: item.lastError, nextAttemptAt: item.nextAttemptAt };
+  }
+
+  outbox.pending = outbox.pending.filter(x => x.id !== item.id);
+  item.deadAt = new Date().toISOString();
+  outbox.dead.push(item);
+  saveOutbox();
+  log.error("Outbox dead-lettered", { id: item.id, to: item.to, attempts: item.attempts, err: item.lastError });
+  return { status: "dead", err: item.lastError };
+}
+
+let outboxDraining = false;
+async function drainOutbox() {
+  if (outboxDraining) return;
+  outboxDraining = true;
+  try {
+    const now = Date.now();
+    const due = outbox.pending.filter(x =>
+      Date.parse(x.nextAttemptAt) <= now && !outboxInFlight.has(x.id) && !campaignOutboxHeld(x, now)
+    );
+    for (const item of due) await attemptOutbound(item);
+  } catch (e) {
+    log.error("Outbox worker error:", e);
+  } finally {
+    outboxDraining = false;
+  }
+}
+
+setInterval(drainOutbox, OUTBOX_POLL_MS).unref();
+createGauge("sms_outbox_pending", "Outbound texts waiting for a (re)try", () => ({ "": outbox.pending.length }));
+createGauge("sms_outbox_dead", "Outbound texts that gave up", () => ({ "": outbox.dead.length }));
+if (outbox.pending.length) log.info("Outbox: pending messages from previous run", { count: outbox.pending.length });
+
+// --- Outbox inspection / re-drive (kiosk token) ---
+app.get("/api/outbox", requireKioskAuth, (_req, res) => {
+  const pending = outbox.pending.filter(inCurrentLocation);
+  const dead = outbox.dead.filter(inCurrentLocation);
+  res.json({
+    ok: true,
+    pendingCount: pending.length,
+    deadCount: dead.length,
+    pending,
+    dead: dead.reverse()
+  });
+});
+
+function redriveDead(ids) {
+  const now = new Date().toISOString();
+  const moved = outbox.dead.filter(x =>
+    inCurrentLocation(x) && (!ids || ids.includes(x.id)) && campaignFor(x)?.status !== "cancelled"
+  );
+  outbox.dead = outbox.dead.filter(x => !moved.includes(x));
+  for (const item of moved) {
+    delete item.deadAt;
+    item.attempts = 0;
+    item.nextAttemptAt = now;
+    outbox.pending.push(item);
+  }
+  saveOutbox();
+  if (moved.length) drainOutbox();
+  return moved;
+}
+
+app.post("/api/outbox/dead/redrive", requireKioskAuth, idempotent, (_req, res) => {
+  const moved = redriveDead(null);
+  res.json({ ok: true, redriven: moved.length });
+});
+
+app.post("/api/outbox/dead/:id/redrive", requireKioskAuth, idempotent, (req, res) => {
+  const moved = redriveDead([req.params.id]);
+  if (!moved.length) return res.status(404).json({ ok: false, error: "Not found in dead-letter list (or its campaign was cancelled)" });
+  res.json({ ok: true, redriven: moved.length, id: req.params.id });
+});
+
+app.delete("/api/outbox/dead/:id", requireKioskAuth, idempotent, (req, res) => {
+  const before = outbox.dead.length;
+  outbox.dead = outbox.dead.filter(x => !(x.id === req.params.id && inCurrentLocation(x)));
+  if (outbox.dead.length === before) return res.status(404).json({ ok: false, error: "Not found in dead-letter list" });
+  saveOutbox();
+  res.json({ ok: true, id: req.params.id });
+});
+
+// --- Mock transport inspection (only when SMS_TRANSPORT=memory|file) ---
+// GET    /api/_mock/sms              -> everything "sent" so far (?to= filters)
+// DELETE /api/_mock/sms              -> clear it
+// POST   /api/_mock/sms/behavior     { rejectTo?, httpErrorTo?, httpStatus?, next? }
+if (smsTransport.sent) {
+  app.get("/api/_mock/sms", requireKioskAuth, (req, res) => {
+    const to = req.query.to ? normalizeUS(req.query.to) : "";
+    const messages = smsTransport.sent.filter(m => !to || m.to === to);
+    res.json({ ok: true, transport: smsTransport.name, count: messages.length, messages, behavior: smsTransport.behavior });
+  });
+
+  app.delete("/api/_mock/sms", requireKioskAuth, (_req, res) => {
+    smsTransport.sent.length = 0;
+    res.json({ ok: true });
+  });
+
+  app.post("/api/_mock/sms/behavior", requireKioskAuth, (req, res) => {
+    const { rejectTo, httpErrorTo, httpStatus, next } = req.body || {};
+    const b = smsTransport.behavior;
+    const list = v => (Array.isArray(v) ? v.join(",") : v);
+    if (rejectTo !== undefined) b.rejectTo = csvPhones(list(rejectTo));
+    if (httpErrorTo !== undefined) b.httpErrorTo = csvPhones(list(httpErrorTo));
+    if (httpStatus !== undefined) b.httpStatus = Number(httpStatus) || 500;
+    if (next !== undefined) b.next = (Array.isArray(next) ? next : [next]).filter(x => x === "http" || x === "reject");
+    res.json({ ok: true, behavior: b });
+  });
+}
+
+// --- health check ---
+// /health: the process is up (liveness). /ready: config, SMS provider auth and every kiosk are usable.
+// Probes only get the status code and { ok }; the per-check details (kiosk URLs, provider errors) and
+// ?fresh=1 need METRICS_TOKEN, so an outsider can neither read them nor make us hammer Infobip.
+app.get("/health", (_req, res) => res.json({ ok: true }));
+
+const READY_TIMEOUT_MS = Number(process.env.READY_TIMEOUT_MS || 5000);
+const READY_CACHE_MS = Number(process.env.READY_CACHE_MS || 15000); // don't hit Infobip on every probe
+let readyCache = null;
+
+// Any HTTP answer below 500 means the kiosk API is up; we're not testing a particular endpoint here
+async function checkKiosk(loc) {
+  if (!loc.kioskUrl) return { ok: false, error: "no kioskUrl configured" };
+  const started = Date.now();
+  try {
+    const r = await timed(kioskRequestSeconds, { endpoint: "ready" }, () =>
+      fetch(loc.kioskUrl, { method: "GET", signal: AbortSignal.timeout(READY_TIMEOUT_MS) })
+    );
+    return { ok: r.status < 500, status: r.status, ms: Date.now() - started, circuitOpen: withLocation(loc, kioskCircuitOpen) };
+  } catch (e) {
+    return { ok: false, error: String(e?.message || e), ms: Date.now() - started, circuitOpen: withLocation(loc, kioskCircuitOpen) };
+  }
+}
+
+async function readinessReport() {
+  const problems = configProblems();
+  const [sms, ...kiosks] = await Promise.all([
+    smsTransport.healthCheck().catch(e => ({ ok: false, error: String(e?.message || e) })),
+    ...LOCATIONS.map(checkKiosk)
+  ]);
+  const kiosk = Object.fromEntries(LOCATIONS.map((l, i) => [l.id, kiosks[i]]));
+  const ok = !problems.length && sms.ok && kiosks.every(k => k.ok);
+  return {
+    ok,
+    checkedAt: new Date().toISOString(),
+    checks: {
+      config: { ok: !problems.length, problems },
+      sms: { transport: smsTransport.name, ...sms },
+      kiosk
+    }
+  };
+}
+
+// Authorization: Bearer <METRICS_TOKEN>; with no token configured nobody is "ops"
+function hasMetricsToken(req) {
+  const token = process.env.METRICS_TOKEN;
+  return Boolean(token) && safeEqual(String(req.headers["authorization"] || ""), "Bearer " + token);
+}
+
+app.get("/ready", async (req, res) => {
+  const ops = hasMetricsToken(req);
+  if (!readyCache || (ops && req.query.fresh) || Date.now() - Date.parse(readyCache.checkedAt) > READY_CACHE_MS) {
+    readyCache = await readinessReport();
+  }
+  res.status(readyCache.ok ? 200 : 503).json(ops ? readyCache : { ok: readyCache.ok });
+});
+
+// Optional METRICS_TOKEN keeps the scrape endpoint private (Authorization: Bearer <token>)
+app.get("/metrics", (req, res) => {
+  if (process.env.METRICS_TOKEN && !hasMetricsToken(req)) {
+    return res.status(401).type("text/plain").send("Unauthorized\n");
+  }
+  res.type("text/plain; version=0.0.4").send(renderMetrics());
+});
+app.get("/", (_req, res) => res.send("OK"));
+
+const BUILD_TAG = "feedback-sms-" + new Date().toISOString();
+app.get("/_ping", (_req, res) => res.send(BUILD_TAG));
+log.info("Booting build", { build: BUILD_TAG });
+
+// --- keywords for compliance ---
+const STOP_WORDS  = ["STOP", "STOPALL", "UNSUBSCRIBE", "CANCEL", "END", "QUIT"];
+const START_WORDS = ["START", "UNSTOP", "YES"];
+
+/* ===== PASTE THIS BLOCK HERE ===== */
+// The token also says which location (shop) the caller is; everything after runs in that location
+function requireKioskAuth(req, res, next) {
+  const loc = findLocationByAuth(req.headers["authorization"]);
+  if (!loc) return res.status(401).json({ ok: false, error: "Unauthorized" });
+  req.location = loc;
+  withLocation(loc, next);
+}
+/* ===== END PASTE ===== */
+
+// ======= IDEMPOTENCY (kiosk retries must not re-send texts) =======
+// The kiosk passes an Idempotency-Key header (or eventId in the JSON body). The first response for
+// that key is stored; a repeat within IDEMPOTENCY_TTL_MS gets the stored response back untouched.
+// Use it after requireKioskAuth so unauthenticated callers can never read a stored response.
+const IDEMPOTENCY_FILE = "idempotency.json";
+const IDEMPOTENCY_TTL_MS = Number(process.env.IDEMPOTENCY_TTL_MS || 24 * 60 * 60 * 1000);
+const IDEMPOTENCY_MAX = Number(process.env.IDEMPOTENCY_MAX || 2000);
+
+const idempotencyStore = loadJson(IDEMPOTENCY_FILE, {}); // { [scopedKey]: { fingerprint, status, body, createdAt } }
+const idempotencyInFlight = new Set();
+
+function pruneIdempotencyStore() {
+  const cutoff = Date.now() - IDEMPOTENCY_TTL_MS;
+  for (const [k, v] of Object.entries(idempotencyStore)) {
+    if (Date.parse(v.createdAt) < cutoff) delete idempotencyStore[k];
+  }
+  const keys = Object.keys(idempotencyStore);
+  for (const k of keys.slice(0, Math.max(0, keys.length - IDEMPOTENCY_MAX))) delete idempotencyStore[k];
+}
+
+function idempotent(req, res, next) {
+  const key = String(req.headers["idempotency-key"] || req.body?.eventId || "").trim();
+  if (!key) return next();
+
+  const scopedKey = `${currentLocation().id} ${req.method} ${req.path} ${key}`;
+  const fingerprint = createHash("sha256").update(JSON.stringify(req.body || {})).digest("hex");
+
+  const stored = idempotencyStore[scopedKey];
+  if (stored && Date.parse(stored.createdAt) >= Date.now() - IDEMPOTENCY_TTL_MS) {
+    if (stored.fingerprint !== fingerprint) {
+      return res.status(422).json({ ok: false, error: "Idempotency-Key was already used for a different request" });
+    }
+    log.info("Idempotent replay", { key: scopedKey, status: stored.status });
+    res.setHeader("Idempotent-Replayed", "true");
+    return res.status(stored.status).json(stored.body);
+  }
+
+  if (idempotencyInFlight.has(scopedKey)) {
+    return res.status(409).json({ ok: false, error: "A request with this Idempotency-Key is still in progress" });
+  }
+  idempotencyInFlight.add(scopedKey);
+
+  // Capture whatever the route sends. 5xx isn't stored so the kiosk can genuinely retry.
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode < 500) {
+      pruneIdempotencyStore();
+      idempotencyStore[scopedKey] = { fingerprint, status: res.statusCode, body, createdAt: new Date().toISOString() };
+      saveJson(IDEMPOTENCY_FILE, idempotencyStore);
+    }
+    return originalJson(body);
+  };
+  res.on("close", () => idempotencyInFlight.delete(scopedKey));
+  next();
+}
+
+// ======= OPT-OUT LEDGER (persistent; sendSms() checks it before every send) =======
+// active: who is opted out right now. log: every STOP/START we've seen, kept for carrier audits.
+const OPTOUT_FILE = "optouts.json";
+const OPTOUT_LOG_MAX = Number(process.env.OPTOUT_LOG_MAX || 5000);
+const optOutLedger = loadJson(OPTOUT_FILE, { active: {}, log: [] });
+
+function isOptedOut(phone) {
+  const p = normalizeUS(phone);
+  return !!(p && optOutLedger.active[p]);
+}
+
+function appendOptOutLog(entry) {
+  optOutLedger.log.push(entry);
+  if (optOutLedger.log.length > OPTOUT_LOG_MAX) {
+    optOutLedger.log.splice(0, optOutLedger.log.length - OPTOUT_LOG_MAX);
+  }
+}
+
+function recordOptOut(phone, { keyword = "STOP", source = "sms" } = {}) {
+  const p = normalizeUS(phone);
+  if (!p) return null;
+  const at = new Date().toISOString();
+  const entry = { phone: p, keyword, source, optedOutAt: at };
+  optOutLedger.active[p] = entry;
+  appendOptOutLog({ phone: p, action: "opt_out", keyword, source, at });
+  saveJson(OPTOUT_FILE, optOutLedger);
+  return entry;
+}
+
+function clearOptOut(phone, { keyword = "START", source = "sms" } = {}) {
+  const p = normalizeUS(phone);
+  if (!p) return false;
+  const existed = !!optOutLedger.active[p];
+  delete optOutLedger.active[p];
+  appendOptOutLog({ phone: p, action: "opt_in", keyword, source, at: new Date().toISOString() });
+  saveJson(OPTOUT_FILE, optOutLedger);
+  return existed;
+}
+
+function listOptOuts() {
+  return Object.values(optOutLedger.active)
+    .sort((a, b) => String(b.optedOutAt).localeCompare(String(a.optedOutAt)));
+}
+
+// --- Opt-out admin API (kiosk token) ---
+// GET    /api/opt-outs            -> current opt-outs (add ?history=1 for the STOP/START log)
+// POST   /api/opt-outs            { phone, keyword? }
+// DELETE /api/opt-outs/:phone
+app.get("/api/opt-outs", requireKioskAuth, (req, res) => {
+  const optOuts = listOptOuts();
+  const out = { ok: true, count: optOuts.length, optOuts };
+  if (req.query.history) out.history = optOutLedger.log.slice().reverse();
+  res.json(out);
+});
+
+app.post("/api/opt-outs", requireKioskAuth, idempotent, (req, res) => {
+  const { phone, keyword } = req.body || {};
+  const entry = recordOptOut(phone, {
+    keyword: String(keyword || "MANUAL").trim().toUpperCase(),
+    source: "api"
   });
+  if (!entry) return res.status(400).json({ ok: false, error: "Missing/invalid phone" });
+  log.info("Opt-out added via API", entry);
+  res.json({ ok: true, optOut: entry });
+});
+
+app.delete("/api/opt-outs/:phone", requireKioskAuth, idempotent, (req, res) => {
+  const p = normalizeUS(req.params.phone);
+  if (!p) return res.status(400).json({ ok: false, error: "Missing/invalid phone" });
+  if (!isOptedOut(p)) return res.status(404).json({ ok: false, error: "Not opted out" });
+  clearOptOut(p, { keyword: "MANUAL", source: "api" });
+  log.info("Opt-out removed via API", { phone: p });
+  res.json({ ok: true, phone: p });
+});
 
-  if (rejected.length) {
-    const detail = rejected
-      .map((m) => m?.status?.description || m?.status?.name || "REJECTED")
-      .join("; ");
-    throw new Error(`Infobip rejected message: ${detail}`);
+// --- Kiosk command proxy (PHP push_command) ---
+// Everything we tell the kiosk goes through here: { type, ... } -> { ok, status, body, json }
+// The result's ok is the kiosk accepting the command: a 2xx whose JSON says { ok: false } is a no.
+// refused: the kiosk heard it and said no (that, or a 4xx other than 429), so a retry won't help.
+async function pushKioskCommand(command) {
+  log.info("pushKioskCommand ->", command);
+  let r = await kioskRequest("push_command", { method: "POST", body: command });
+  if (r.ok && r.json?.ok === false) {
+    r = { ...r, ok: false, refused: true, error: String(r.json.error || "kiosk answered ok: false") };
+    log.warn("pushKioskCommand refused", { status: r.status, error: r.error });
+  } else {
+    r.refused = r.status >= 400 && r.status < 500 && r.status !== 429;
   }
+  if (r.ok) log.info("pushKioskCommand OK", { status: r.status, body: r.body });
+  // anything the kiosk acts on can change positions/assignments: don't serve stale client lookups
+  const cache = kioskState().cache;
+  for (const key of [...cache.keys()]) if (key.startsWith("client:")) cache.delete(key);
+  return r;
+}
 
-  return parsed;
+// ======= KIOSK STATUS PUSH QUEUE (data/kiosk-pushes.json) =======
+// A barber_status push the kiosk didn't take is kept and retried with backoff. Each item can carry a
+// `confirm` ({ barberId, rosterStatus, source, to, template, vars }) that's applied only once the
+// kiosk accepts: roster updated, then the barber gets their confirmation text. A newer push for the
+// same barber replaces an older one still waiting, so statuses can't land out of order. A 4xx (other than
+// 429) is the kiosk refusing the command, which no retry will change: that gives up straight away.
+const KIOSK_PUSH_FILE = "kiosk-pushes.json";
+const KIOSK_PUSH_MAX_ATTEMPTS = Number(process.env.KIOSK_PUSH_MAX_ATTEMPTS || 10);
+const KIOSK_PUSH_BACKOFF_BASE_MS = Number(process.env.KIOSK_PUSH_BACKOFF_BASE_MS || 10000);
+const KIOSK_PUSH_BACKOFF_MAX_MS = 5 * 60 * 1000;
+const KIOSK_PUSH_POLL_MS = Number(process.env.KIOSK_PUSH_POLL_MS || 5000);
+
+const kioskPushes = loadJson(KIOSK_PUSH_FILE, { pending: [] });
+
+function saveKioskPushes() {
+  saveJson(KIOSK_PUSH_FILE, kioskPushes);
 }
 
-// --- util: send SMS via Infobip (strong logging) ---
-async function sendSms({ to, text }) {
-  try {
-    const toNorm = normalizeUS(to);
-    if (!toNorm) throw new Error("Missing/invalid destination phone");
+async function applyStatusConfirm(confirm) {
+  if (!confirm) return;
+  const b = confirm.barberId && getBarberById(confirm.barberId);
+  if (b && confirm.rosterStatus) {
+    delete b.breakUntil;
+    setBarberStatus(b.id, confirm.rosterStatus, confirm.source || "kiosk-push");
+  }
+  if (confirm.to && confirm.template) await replyTo(confirm.to, confirm.template, confirm.vars || {});
+}
 
-    console.log("-> sending SMS", { to: toNorm, from: SENDER, preview: text.slice(0, 80) });
+function queueKioskPush(command, confirm) {
+  const loc = currentLocation().id;
+  kioskPushes.pending = kioskPushes.pending.filter(x => !(x.location === loc && x.command.name === command.name));
+  const item = {
+    id: randomUUID(),
+    location: loc,
+    reqId: currentRequestId(),
+    command,
+    confirm: confirm || null,
+    attempts: 1,
+    createdAt: new Date().toISOString(),
+    nextAttemptAt: new Date(Date.now() + KIOSK_PUSH_BACKOFF_BASE_MS).toISOString(),
+    lastError: null
+  };
+  kioskPushes.pending.push(item);
+  saveKioskPushes();
+  log.warn("Kiosk status push queued for retry", { id: item.id, name: command.name, status: command.status });
+  return item;
+}
 
-    const res = await fetch(`${BASE_URL}/sms/2/text/advanced`, {
-      method: "POST",
-      headers: {
-        Authorization: API_KEY, // must include "App "
-        "Content-Type": "application/json",
-        Accept: "application/json",
-      },
-      body: JSON.stringify({
-        messages: [{ destinations: [{ to: toNorm }], from: SENDER, text }],
-      }),
+async function retryKioskPush(item) {
+  const r = await pushKioskCommand(item.command);
+  if (r.ok) {
+    kioskPushes.pending = kioskPushes.pending.filter(x => x.id !== item.id);
+    saveKioskPushes();
+    log.info("Kiosk status push delivered on retry", { id: item.id, attempts: item.attempts + 1 });
+    await applyStatusConfirm(item.confirm);
+    return;
+  }
+
+  item.attempts++;
+  item.lastError = r.error || `HTTP ${r.status}`;
+  if (!r.refused && item.attempts < KIOSK_PUSH_MAX_ATTEMPTS) {
+    const wait = Math.min(KIOSK_PUSH_BACKOFF_BASE_MS * 2 ** (item.attempts - 1), KIOSK_PUSH_BACKOFF_MAX_MS);
+    item.nextAttemptAt = new Date(Date.now() + wait).toISOString();
+    saveKioskPushes();
+    return;
+  }
+
+  kioskPushes.pending = kioskPushes.pending.filter(x => x.id !== item.id);
+  saveKioskPushes();
+  log.error("Kiosk status push gave up", { id: item.id, name: item.command.name, attempts: item.attempts, err: item.lastError });
+  if (item.confirm?.to) {
+    await replyTo(item.confirm.to, r.refused ? "BARBER_COMMAND_REFUSED" : "BARBER_COMMAND_FAILED", {
+      command: String(item.command.status).toUpperCase()
     });
+  }
+}
 
-    const bodyText = await res.text();
-    if (!res.ok) {
-      console.error(`<- Infobip ERROR ${res.status}: ${bodyText}`);
-      throw new Error(`Infobip HTTP ${res.status}: ${bodyText}`);
+let kioskPushDraining = false;
+async function drainKioskPushes() {
+  if (kioskPushDraining) return;
+  kioskPushDraining = true;
+  try {
+    const now = Date.now();
+    for (const item of kioskPushes.pending.filter(x => Date.parse(x.nextAttemptAt) <= now)) {
+      await withRequestId(item.reqId, () => withLocation(getLocationById(item.location), () => retryKioskPush(item)));
     }
+  } catch (e) {
+    log.error("Kiosk push worker error", e);
+  } finally {
+    kioskPushDraining = false;
+  }
+}
+setInterval(drainKioskPushes, KIOSK_PUSH_POLL_MS).unref();
+createGauge("kiosk_status_push_pending", "Barber status pushes waiting to be retried", () => ({ "": kioskPushes.pending.length }));
+createGauge("kiosk_circuit_open", "1 while a location's kiosk circuit breaker is open", () => Object.fromEntries(
+  LOCATIONS.map(l => [labelKey({ location: l.id }), withLocation(l, kioskCircuitOpen) ? 1 : 0])
+));
 
-    const parsed = assertInfobipAccepted(bodyText);
-    console.log("<- Infobip OK", bodyText);
-    return parsed;
-  } catch (err) {
-    console.error("sendSms() failed:", err);
-    throw err;
+// --- Notify kiosk (PHP proxy) to flip a barber's status ---
+// extra: optional context for the kiosk, e.g. { reason: "break", minutes: 15 }
+// opts.confirm: applied when the kiosk accepts (now, or later from the retry queue)
+// opts.queue: false for time-boxed pushes (BREAK) that are pointless to deliver late
+// Resolves to the push result, plus { queued: id } when it was handed to the retry queue. A refusal
+// (result.refused) is never queued: the kiosk has already said no.
+async function notifyKioskBarberStatus(name, status, extra = {}, { confirm = null, queue = true } = {}) {
+  const command = {
+    type: "barber_status",
+    name,
+    status: String(status).toLowerCase(),   // 'available' | 'unavailable'
+    ...extra
+  };
+  const result = await pushKioskCommand(command);
+  if (result.ok) {
+    await applyStatusConfirm(confirm);
+    return result;
   }
+  if (!queue || result.refused) return result;
+  return { ...result, queued: queueKioskPush(command, confirm).id };
 }
 
-// --- health check ---
-app.get("/health", (_req, res) => res.json({ ok: true }));
-app.get("/", (_req, res) => res.send("OK"));
+// Quick debug endpoint: /_flip?name=red&status=available
+app.get("/_flip", (req, res, next) => {
+  // unlike requireKioskAuth there's no dev-mode bypass: this one always needs a real token
+  const loc = LOCATIONS.some(l => l.kioskToken) && findLocationByAuth(req.headers["authorization"]);
+  if (!loc) return res.status(401).json({ ok: false, error: "Unauthorized" });
+  withLocation(loc, next);
+}, async (req, res) => {
+  const name = String(req.query.name || "").trim();         // e.g., "red"
+  const status = String(req.query.status || "").trim();     // "available" | "unavailable"
+  if (!name || !/^(available|unavailable)$/i.test(status)) {
+    return res.status(400).json({ ok: false, error: "Use ?name=red&status=available|unavailable" });
+  }
 
-const BUILD_TAG = "feedback-sms-" + new Date().toISOString();
-app.get("/_ping", (_req, res) => res.send(BUILD_TAG));
-console.log("Booting build:", BUILD_TAG);
+  const local = findBarberByName(name);
+  const out = await notifyKioskBarberStatus(name, status.toLowerCase(), {}, {
+    confirm: local ? { barberId: local.id, rosterStatus: status, source: "flip" } : null
+  });
+  return res.json({ ok: true, flip: out });
+});
 
-// --- keywords for compliance ---
-const STOP_WORDS  = ["STOP", "STOPALL", "UNSUBSCRIBE", "CANCEL", "END", "QUIT"];
-const START_WORDS = ["START", "UNSTOP", "YES"];
+// --- Roster API (kiosk token) ---
+// GET    /api/roster                 -> all barbers (?all=1 includes inactive)
+// GET    /api/roster/:id
+// POST   /api/roster                 { id, name, phone, status?, active? }
+// PUT    /api/roster/:id             { name?, phone?, status?, active? }
+// DELETE /api/roster/:id
+// POST   /api/roster/:id/status      { status: green|orange|red|available|busy|unavailable }  (kiosk push)
+// POST   /api/roster/sync            { barbers: [{ id, name, phone, status?, active? }] }      (kiosk push)
+app.get("/api/roster", requireKioskAuth, (req, res) => {
+  const barbers = listBarbers({ includeInactive: !!req.query.all });
+  res.json({ ok: true, count: barbers.length, updatedAt: currentRoster().updatedAt, barbers });
+});
 
-/* ===== PASTE THIS BLOCK HERE ===== */
-const KIOSK_TOKEN = process.env.KIOSK_TOKEN;
+app.get("/api/roster/:id", requireKioskAuth, (req, res) => {
+  const barber = getBarberById(req.params.id);
+  if (!barber) return res.status(404).json({ ok: false, error: "Unknown barberId" });
+  res.json({ ok: true, barber });
+});
 
-function requireKioskAuth(req, res, next) {
-  const got = String(req.headers["authorization"] || "").trim();
-  const expected = ("Bearer " + String(KIOSK_TOKEN || "")).trim();
-  if (!KIOSK_TOKEN) return next(); // dev mode: skip if not set
-  if (got !== expected) return res.status(401).json({ ok: false, error: "Unauthorized" });
-  next();
+app.post("/api/roster", requireKioskAuth, idempotent, (req, res) => {
+  const { id, ...fields } = req.body || {};
+  const r = upsertBarber(id, fields, { create: true });
+  if (r.error) return res.status(400).json({ ok: false, error: r.error });
+  res.status(201).json({ ok: true, barber: r.barber });
+});
+
+app.put("/api/roster/:id", requireKioskAuth, idempotent, (req, res) => {
+  if (!getBarberById(req.params.id)) return res.status(404).json({ ok: false, error: "Unknown barberId" });
+  const r = upsertBarber(req.params.id, req.body || {});
+  if (r.error) return res.status(400).json({ ok: false, error: r.error });
+  res.json({ ok: true, barber: r.barber });
+});
+
+app.delete("/api/roster/:id", requireKioskAuth, idempotent, (req, res) => {
+  if (!removeBarber(req.params.id)) return res.status(404).json({ ok: false, error: "Unknown barberId" });
+  res.json({ ok: true, id: req.params.id });
+});
+
+app.post("/api/roster/sync", requireKioskAuth, idempotent, (req, res) => {
+  const incoming = Array.isArray(req.body?.barbers) ? req.body.barbers : null;
+  if (!incoming) return res.status(400).json({ ok: false, error: "Missing barbers[]" });
+
+  const errors = [];
+  let synced = 0;
+  for (const b of incoming) {
+    const { id, ...fields } = b || {};
+    if (fields.status !== undefined) fields.statusSource = "kiosk";
+    const r = upsertBarber(id, fields, { create: !getBarberById(id) });
+    if (r.error) errors.push({ id: id || null, error: r.error });
+    else synced++;
+  }
+  res.json({ ok: errors.length === 0, synced, errors });
+});
+
+app.post("/api/roster/:id/status", requireKioskAuth, idempotent, (req, res) => {
+  if (!getBarberById(req.params.id)) return res.status(404).json({ ok: false, error: "Unknown barberId" });
+  const barber = setBarberStatus(req.params.id, req.body?.status, "kiosk");
+  if (!barber) return res.status(400).json({ ok: false, error: "Invalid status" });
+  res.json({ ok: true, barber });
+});
+
+// --- Template admin API (kiosk token) ---
+// GET    /api/templates                    -> every template with its vars + current text per locale
+// GET    /api/templates/:key               -> one template + its edit history
+// PUT    /api/templates/:key               { locale?, text }   (placeholders must be in vars)
+// DELETE /api/templates/:key?locale=es     -> back to the built-in default
+// POST   /api/templates/:key/revert        { locale?, version } -> re-apply an earlier version
+app.get("/api/templates", requireKioskAuth, (_req, res) => {
+  res.json({ ok: true, locales: SUPPORTED_LOCALES, templates: Object.keys(TEMPLATE_DEFS).map(describeTemplate) });
+});
+
+app.get("/api/templates/:key", requireKioskAuth, (req, res) => {
+  if (!TEMPLATE_DEFS[req.params.key]) return res.status(404).json({ ok: false, error: "Unknown template" });
+  const history = currentTemplateStore().history.filter(h => h.key === req.params.key).reverse();
+  res.json({ ok: true, template: describeTemplate(req.params.key), history });
+});
+
+function templateLocaleFrom(req) {
+  const raw = req.body?.locale ?? req.query.locale ?? DEFAULT_LOCALE;
+  const locale = String(raw).trim().toLowerCase();
+  return SUPPORTED_LOCALES.includes(locale) ? locale : null;
 }
-/* ===== END PASTE ===== */
 
-// --- Notify kiosk (PHP proxy) to flip a barber's status ---
-async function notifyKioskBarberStatus(name, status) {
- const url = "https://elitekutzkiosk.com/kiosk-api.php?endpoint=push_command";
-  const auth = "Bearer " + String(process.env.KIOSK_TOKEN || "");
-  try {
-    console.log("notifyKioskBarberStatus ->", { name, status, url });
+app.put("/api/templates/:key", requireKioskAuth, idempotent, (req, res) => {
+  const key = req.params.key;
+  if (!TEMPLATE_DEFS[key]) return res.status(404).json({ ok: false, error: "Unknown template" });
+  const locale = templateLocaleFrom(req);
+  if (!locale) return res.status(400).json({ ok: false, error: `locale must be one of ${SUPPORTED_LOCALES.join(", ")}` });
 
-    const r = await fetch(url, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "Authorization": auth
-      },
-  body: JSON.stringify({
-    type: "barber_status",
-    name,
-    status: String(status).toLowerCase()   // 'available' | 'unavailable'
-  })
+  const r = setTemplateOverride(key, locale, req.body?.text);
+  if (r.errors) return res.status(400).json({ ok: false, error: "Invalid template", details: r.errors });
+  log.info("Template updated", { key, locale, version: r.entry.version });
+  res.json({ ok: true, template: describeTemplate(key) });
 });
 
-    const text = await r.text(); // read body either way
-    if (!r.ok) {
-      console.warn("notifyKioskBarberStatus FAIL", r.status, text);
-      return { ok: false, status: r.status, body: text };
+app.delete("/api/templates/:key", requireKioskAuth, idempotent, (req, res) => {
+  const key = req.params.key;
+  if (!TEMPLATE_DEFS[key]) return res.status(404).json({ ok: false, error: "Unknown template" });
+  const locale = templateLocaleFrom(req);
+  if (!locale) return res.status(400).json({ ok: false, error: `locale must be one of ${SUPPORTED_LOCALES.join(", ")}` });
+  if (!resetTemplateOverride(key, locale)) return res.status(404).json({ ok: false, error: "No edits to reset" });
+  log.info("Template reset to default", { key, locale });
+  res.json({ ok: true, template: describeTemplate(key) });
+});
+
+app.post("/api/templates/:key/revert", requireKioskAuth, idempotent, (req, res) => {
+  const key = req.params.key;
+  if (!TEMPLATE_DEFS[key]) return res.status(404).json({ ok: false, error: "Unknown template" });
+  const locale = templateLocaleFrom(req);
+  if (!locale) return res.status(400).json({ ok: false, error: `locale must be one of ${SUPPORTED_LOCALES.join(", ")}` });
+
+  const version = Number(req.body?.version);
+  const target = currentTemplateStore().history.find(h => h.key === key && h.locale === locale && h.version === version);
+  if (!target) return res.status(404).json({ ok: false, error: `No version ${req.body?.version} for ${key}/${locale}` });
+
+  const r = target.text === null
+    ? { reset: resetTemplateOverride(key, locale) }
+    : setTemplateOverride(key, locale, target.text);
+  if (r.errors) return res.status(400).json({ ok: false, error: "Invalid template", details: r.errors });
+  res.json({ ok: true, template: describeTemplate(key) });
+});
+
+// ======= BARBER SMS COMMANDS =======
+// Every command is checked against the kiosk (lookupBarberByPhoneLive) and relayed through push_command.
+const BARBER_BREAK_DEFAULT_MIN = Number(process.env.BARBER_BREAK_DEFAULT_MIN || 15);
+const BARBER_BREAK_MAX_MIN = Number(process.env.BARBER_BREAK_MAX_MIN || 240);
+const BARBER_STATUS_WORDS = { green: "AVAILABLE", orange: "BUSY", red: "UNAVAILABLE" };
+
+// "BREAK", "BREAK 15", "BREAK 15 MIN" -> { command: "BREAK", minutes }
+function parseBarberCommand(norm) {
+  if (["AVAILABLE", "UNAVAILABLE", "STATUS", "QUEUE", "DONE"].includes(norm)) return { command: norm };
+  if (norm === "LIST" || norm === "?") return { command: "LIST" };
+  const m = norm.match(/^BREAK(?: (\d{1,3}))?(?: ?(?:M|MIN|MINS|MINUTES))?$/);
+  if (m) {
+    const minutes = Math.min(Math.max(Number(m[1] || BARBER_BREAK_DEFAULT_MIN), 1), BARBER_BREAK_MAX_MIN);
+    return { command: "BREAK", minutes };
+  }
+  return null;
+}
+
+async function replyTo(to, key, vars = {}, locale) {
+  return sendSms({ to, eventType: "INBOUND_REPLY", templateType: key, text: TEMPLATES[key](vars, locale) });
+}
+
+function formatShopTime(date) {
+  return date.toLocaleTimeString("en-US", {
+    hour: "numeric",
+    minute: "2-digit",
+    timeZone: shopTimezoneFor()
+  });
+}
+
+// Words a client might plausibly text too; from a non-barber these fall through to client handling
+const BARBER_SOFT_COMMANDS = ["STATUS", "QUEUE", "DONE", "LIST"];
+
+// resolves true when the text was dealt with as a barber command
+async function handleBarberCommand(cmd, from) {
+  const fromNormalized = normalizeUS(from);
+  const barber = await lookupBarberByPhoneLive(fromNormalized);
+
+  if (!barber || !barber.name) {
+    if (BARBER_SOFT_COMMANDS.includes(cmd.command)) return false;
+    await replyTo(from, "BARBER_NOT_RECOGNIZED");
+    return true;
+  }
+
+  const barberName = String(barber.name || "").trim();
+  const local = getBarberById(barber.id) || findBarberByPhone(fromNormalized);
+
+  log.info("Inbound barber command from SMS ->", {
+    from: fromNormalized,
+    barberId: barber.id,
+    barberName,
+    ...cmd
+  });
+
+  switch (cmd.command) {
+    case "AVAILABLE":
+    case "UNAVAILABLE": {
+      const status = (cmd.command === "AVAILABLE") ? "available" : "unavailable";
+      if (local?.breakUntil) {
+        delete local.breakUntil; // an explicit status beats the break timer, even while the kiosk catches up
+        saveRoster();
+      }
+      // the "set to AVAILABLE" text only goes out once the kiosk has taken the change
+      const result = await notifyKioskBarberStatus(barberName, status, {}, {
+        confirm: {
+          barberId: local?.id || null,
+          rosterStatus: status,
+          source: "sms",
+          to: from,
+          template: "BARBER_STATUS_SET",
+          vars: { barberName, status: status.toUpperCase() }
+        }
+      });
+      log.info("Flip result", { ok: result.ok, status: result.status, error: result.error, queued: result.queued });
+      if (result.refused) await replyTo(from, "BARBER_COMMAND_REFUSED", { command: status.toUpperCase() });
+      else if (!result.ok) await replyTo(from, "BARBER_STATUS_PENDING", { barberName, status: status.toUpperCase() });
+      return true;
     }
 
-    console.log("notifyKioskBarberStatus OK", text);
-    return { ok: true, status: r.status, body: text };
-  } catch (e) {
-    console.warn("notifyKioskBarberStatus ERROR", e);
-    return { ok: false, error: String(e) };
+    case "BREAK": {
+      const result = await notifyKioskBarberStatus(barberName, "unavailable", { reason: "break", minutes: cmd.minutes }, { queue: false });
+      if (!result.ok) {
+        await replyTo(from, result.refused ? "BARBER_COMMAND_REFUSED" : "BARBER_COMMAND_FAILED", { command: "BREAK" });
+        return true;
+      }
+      const until = new Date(Date.now() + cmd.minutes * 60 * 1000);
+      if (local) {
+        local.breakUntil = until.toISOString();
+        setBarberStatus(local.id, "unavailable", "sms-break");
+      }
+      await replyTo(from, "BARBER_BREAK_SET", { barberName, minutes: cmd.minutes, untilTime: formatShopTime(until) });
+      return true;
+    }
+
+    case "STATUS": {
+      const result = await pushKioskCommand({ type: "barber_command", command: "status", name: barberName, barberId: barber.id });
+      // prefer what the kiosk says; fall back to our roster
+      const kioskStatus = normalizeBarberStatus(result.json?.status);
+      const color = kioskStatus || local?.status || "red";
+      const breakNote = local?.breakUntil ? ` (on break until ${formatShopTime(new Date(local.breakUntil))})` : "";
+      await replyTo(from, "BARBER_STATUS_REPORT", { barberName, status: BARBER_STATUS_WORDS[color], breakNote });
+      return true;
+    }
+
+    case "QUEUE": {
+      const result = await pushKioskCommand({ type: "barber_command", command: "queue", name: barberName, barberId: barber.id });
+      const waiting = Number(result.json?.waiting ?? result.json?.count);
+      if (!result.ok || !Number.isFinite(waiting)) {
+        await replyTo(from, "BARBER_QUEUE_UNKNOWN", { barberName });
+        return true;
+      }
+      await replyTo(from, "BARBER_QUEUE", { barberName, waiting: waiting === 1 ? "1 client" : `${waiting} clients` });
+      return true;
+    }
+
+    case "DONE": {
+      const result = await pushKioskCommand({ type: "barber_command", command: "done", name: barberName, barberId: barber.id });
+      if (!result.ok) {
+        await replyTo(from, result.refused ? "BARBER_COMMAND_REFUSED" : "BARBER_COMMAND_FAILED", { command: "DONE" });
+        return true;
+      }
+      // kiosk answers with the client that was just finished, if it knows one
+      const client = result.json?.client || null;
+      if (client?.phone) closeRelaySessions(x => x.clientPhone === normalizeUS(client.phone) && x.barberPhone === fromNormalized, "done");
+      else closeRelayForBarber(fromNormalized, "done");
+      const link = result.json?.feedbackLink || currentLocation().feedbackLink;
+      if (client?.phone && link) {
+        await sendSms({
+          to: client.phone,
+          eventType: "BARBER_DONE",
+          templateType: "FEEDBACK",
+          text: TEMPLATES.FEEDBACK({ clientName: client.name || "", barberName, link }, client.language)
+        });
+        await replyTo(from, "BARBER_DONE", { barberName, clientName: client.name || "Client" });
+      } else {
+        await replyTo(from, "BARBER_DONE_NO_CLIENT", { barberName });
+      }
+      return true;
+    }
+
+    case "LIST":
+    default:
+      await replyTo(from, "BARBER_COMMANDS_HELP");
+      return true;
   }
 }
-// Quick debug endpoint: /_flip?name=red&status=available
-app.get("/_flip", async (req, res) => {
-  const got = String(req.headers["authorization"] || "");
-  const expected = "Bearer " + String(process.env.KIOSK_TOKEN || "");
-  if (!process.env.KIOSK_TOKEN || got !== expected) {
-    return res.status(401).json({ ok: false, error: "Unauthorized" });
+
+// Flip barbers back to AVAILABLE when their BREAK runs out (breakUntil lives in the roster file)
+async function endExpiredBreaks() {
+  for (const loc of LOCATIONS) await withLocation(loc, endExpiredBreaksHere);
+}
+
+async function endExpiredBreaksHere() {
+  const now = Date.now();
+  for (const b of listBarbers()) {
+    if (!b.breakUntil || Date.parse(b.breakUntil) > now) continue;
+    delete b.breakUntil;
+    saveRoster();
+    try {
+      const result = await notifyKioskBarberStatus(b.name, "available", { reason: "break_over" }, {
+        confirm: { barberId: b.id, rosterStatus: "available", source: "break-over", to: b.phone, template: "BARBER_BREAK_OVER", vars: { barberName: b.name } }
+      });
+      log.info("Break over ->", { barberId: b.id, kiosk: result.ok, queued: result.queued });
+    } catch (e) {
+      log.error("endExpiredBreaks error:", e);
+    }
   }
+}
+setInterval(endExpiredBreaks, 30 * 1000).unref();
+
+// ======= CLIENT SMS SELF-SERVICE =======
+// Deliberately no CANCEL here: that's a carrier STOP word and is handled as an opt-out first.
+const CLIENT_LATE_DEFAULT_MIN = Number(process.env.CLIENT_LATE_DEFAULT_MIN || 10);
+
+// "WHERE", "POSITION", "LATE", "LATE 10", "LATE 10 MIN", "LEAVE", "LEAVE LINE"
+function parseClientCommand(norm) {
+  if (["WHERE", "WHERE AM I", "WHERE AM I?", "POSITION", "WHERE?"].includes(norm)) return { command: "WHERE" };
+  if (norm === "LEAVE" || norm === "LEAVE LINE") return { command: "LEAVE" };
+  const m = norm.match(/^LATE(?: (\d{1,3}))?(?: ?(?:M|MIN|MINS|MINUTES))?$/);
+  if (m) {
+    const minutes = Math.min(Math.max(Number(m[1] || CLIENT_LATE_DEFAULT_MIN), 1), 120);
+    return { command: "LATE", minutes };
+  }
+  return null;
+}
 
-  const name = String(req.query.name || "").trim();         // e.g., "red"
-  const status = String(req.query.status || "").trim();     // "available" | "unavailable"
-  if (!name || !/^(available|unavailable)$/i.test(status)) {
-    return res.status(400).json({ ok: false, error: "Use ?name=red&status=available|unavailable" });
+async function handleClientCommand(cmd, from) {
+  const fromNormalized = normalizeUS(from);
+  const client = await lookupClientByPhoneLive(fromNormalized);
+
+  if (client?.unavailable) {
+    // can't tell whether they're waiting: don't tell someone in line that they aren't
+    await replyTo(from, "CLIENT_COMMAND_FAILED", {}, knownClientLocale(fromNormalized));
+    return;
+  }
+  if (!client) {
+    await replyTo(from, "CLIENT_NOT_WAITING", {}, knownClientLocale(fromNormalized));
+    return;
   }
 
-  const out = await notifyKioskBarberStatus(name, status.toLowerCase());
-  return res.json({ ok: true, flip: out });
+  const locale = normalizeLocale(client.language);
+  const clientName = client.name || "Hi";
+  log.info("Inbound client command from SMS ->", { from: fromNormalized, clientId: client.id, ...cmd });
+
+  switch (cmd.command) {
+    case "WHERE": {
+      if (!client.position) {
+        await replyTo(from, "CLIENT_NOT_WAITING", {}, locale);
+        return;
+      }
+      await replyTo(from, "CLIENT_POSITION", {
+        clientName,
+        position: client.position,
+        ...etaVars(client.position, locale, client.barberId || null)
+      }, locale);
+      return;
+    }
+
+    case "LATE": {
+      const result = await pushKioskCommand({
+        type: "client_command",
+        command: "late",
+        clientId: client.id,
+        phone: fromNormalized,
+        minutes: cmd.minutes
+      });
+      if (!result.ok) {
+        await replyTo(from, "CLIENT_COMMAND_FAILED", {}, locale);
+        return;
+      }
+      const barber = getBarberById(client.barberId) || findBarberByName(client.barberName);
+      if (barber?.phone) {
+        await sendSms({
+          to: barber.phone,
+          eventType: "CLIENT_LATE",
+          templateType: "CLIENT_LATE_BARBER",
+          text: TEMPLATES.CLIENT_LATE_BARBER({ clientName, minutes: cmd.minutes })
+        });
+      }
+      await replyTo(from, "CLIENT_LATE_ACK", { clientName, minutes: cmd.minutes }, locale);
+      return;
+    }
+
+    case "LEAVE": {
+      const result = await pushKioskCommand({
+        type: "client_command",
+        command: "leave",
+        clientId: client.id,
+        phone: fromNormalized
+      });
+      if (!result.ok) {
+        await replyTo(from, "CLIENT_COMMAND_FAILED", {}, locale);
+        return;
+      }
+      closeRelayForClient(fromNormalized, "left");
+      await replyTo(from, "CRK_CLIENT", { clientName }, locale);
+      return;
+    }
+  }
+}
+
+// Unrecognized inbound text -> shop phone. Resolves false when there's nowhere to forward to.
+async function forwardToShop(from, raw) {
+  const shopNumber = currentLocation().shopForwardNumber;
+  if (!shopNumber) return false;
+  const fromNormalized = normalizeUS(from);
+  const found = await lookupClientByPhoneLive(fromNormalized);
+  const client = found?.unavailable ? null : found;
+
+  await sendSms({
+    to: shopNumber,
+    eventType: "INBOUND_FORWARD",
+    templateType: "SHOP_FORWARD",
+    text: TEMPLATES.SHOP_FORWARD({ clientName: client?.name || "unknown", phone: fromNormalized, text: String(raw).trim() })
+  });
+  await replyTo(from, "CLIENT_FORWARDED", {}, client?.language ? normalizeLocale(client.language) : knownClientLocale(fromNormalized));
+  return true;
+}
+
+// ======= MASKED RELAY (client <-> assigned barber through the shop number) =======
+// Opened on CLIENT_ASSIGNED. A client's free text goes to their barber(s) prefixed with the client's
+// name; a barber's free text goes back to their most recent client (or "@Name ..." to pick one).
+// Exact command words (AVAILABLE, BREAK 15, DONE, ...) are matched before we ever get here.
+// Closed when the service ends (DONE, feedback sent, removed/re-waitlisted, LEAVE) or after RELAY_TTL_MINUTES.
+const RELAY_FILE = "relay.json";
+const RELAY_TTL_MINUTES = Number(process.env.RELAY_TTL_MINUTES || 120);
+const RELAY_KEEP_CLOSED_MS = 7 * 24 * 60 * 60 * 1000;
+
+const relayStore = loadJson(RELAY_FILE, { sessions: [] });
+
+function saveRelay() {
+  const cutoff = Date.now() - RELAY_KEEP_CLOSED_MS;
+  relayStore.sessions = relayStore.sessions.filter(x => !x.closedAt || Date.parse(x.closedAt) > cutoff);
+  saveJson(RELAY_FILE, relayStore);
+}
+
+function activeRelaySessions() {
+  const now = Date.now();
+  let changed = false;
+  for (const x of relayStore.sessions) {
+    if (!x.closedAt && Date.parse(x.expiresAt) <= now) {
+      x.closedAt = new Date().toISOString();
+      x.closeReason = "expired";
+      changed = true;
+    }
+  }
+  if (changed) saveRelay();
+  return relayStore.sessions.filter(x => !x.closedAt && inCurrentLocation(x));
+}
+
+function closeRelaySessions(match, reason) {
+  const closed = activeRelaySessions().filter(match);
+  const at = new Date().toISOString();
+  for (const x of closed) {
+    x.closedAt = at;
+    x.closeReason = reason;
+  }
+  if (closed.length) {
+    saveRelay();
+    log.info("Relay closed", { count: closed.length, reason });
+  }
+  return closed;
+}
+
+function closeRelayForClient(phone, reason) {
+  const p = normalizeUS(phone);
+  return closeRelaySessions(x => x.clientPhone === p, reason);
+}
+
+function closeRelayForBarber(phone, reason) {
+  const p = normalizeUS(phone);
+  return closeRelaySessions(x => x.barberPhone === p, reason);
+}
+
+// One session per assigned barber; a new assignment replaces the client's old sessions
+function openRelaySessions({ clientName, clientPhone, assignments = [] }) {
+  const clientP = normalizeUS(clientPhone);
+  if (!clientP || !assignments.length) return [];
+  closeRelayForClient(clientP, "reassigned");
+
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + RELAY_TTL_MINUTES * 60 * 1000).toISOString();
+  const barberIds = [...new Set(assignments.map(a => a.barberId))];
+  const opened = barberIds
+    .map(id => getBarberById(id))
+    .filter(b => b?.phone)
+    .map(b => ({
+      id: randomUUID(),
+      location: currentLocation().id,
+      clientPhone: clientP,
+      clientName: String(clientName || "").trim() || "Client",
+      barberId: b.id,
+      barberName: b.name,
+      barberPhone: b.phone,
+      openedAt: now.toISOString(),
+      expiresAt,
+      lastActivityAt: null,
+      closedAt: null,
+      closeReason: null
+    }));
+
+  relayStore.sessions.push(...opened);
+  saveRelay();
+  if (opened.length) log.info("Relay opened", { client: clientP, barbers: opened.map(x => x.barberId) });
+  return opened;
+}
+
+// Resolves true when the text was relayed
+async function relayInbound(from, raw) {
+  const p = normalizeUS(from);
+  const text = String(raw || "").trim();
+  if (!p || !text) return false;
+  const sessions = activeRelaySessions();
+
+  // client -> barber(s)
+  const asClient = sessions.filter(x => x.clientPhone === p);
+  if (asClient.length) {
+    for (const x of asClient) {
+      x.lastActivityAt = new Date().toISOString();
+      await sendSms({
+        to: x.barberPhone,
+        eventType: "RELAY",
+        templateType: "RELAY_TO_BARBER",
+        text: TEMPLATES.RELAY_TO_BARBER({ clientName: x.clientName, text })
+      });
+    }
+    saveRelay();
+    return true;
+  }
+
+  // barber -> client ("@Bo on my way" picks Bo; otherwise the most recently opened session)
+  const asBarber = sessions
+    .filter(x => x.barberPhone === p)
+    .sort((a, b) => String(b.openedAt).localeCompare(String(a.openedAt)));
+  if (!asBarber.length) return false;
+
+  let target = asBarber[0];
+  let body = text;
+  const at = text.match(/^@(\S+)\s+([\s\S]+)$/);
+  if (at) {
+    const named = asBarber.find(x => x.clientName.toLowerCase().startsWith(at[1].toLowerCase()));
+    if (named) {
+      target = named;
+      body = at[2];
+    }
+  }
+
+  target.lastActivityAt = new Date().toISOString();
+  saveRelay();
+  await sendSms({
+    to: target.clientPhone,
+    eventType: "RELAY",
+    templateType: "RELAY_TO_CLIENT",
+    text: TEMPLATES.RELAY_TO_CLIENT({ barberName: target.barberName, text: body })
+  });
+  return true;
+}
+
+// GET    /api/relay        -> open sessions (?all=1 includes recently closed)
+// DELETE /api/relay/:id    -> close one now
+app.get("/api/relay", requireKioskAuth, (req, res) => {
+  const active = activeRelaySessions();
+  const sessions = req.query.all ? relayStore.sessions.filter(inCurrentLocation).reverse() : active;
+  res.json({ ok: true, active: active.length, sessions });
+});
+
+app.delete("/api/relay/:id", requireKioskAuth, idempotent, (req, res) => {
+  const closed = closeRelaySessions(x => x.id === req.params.id, "manual");
+  if (!closed.length) return res.status(404).json({ ok: false, error: "No open session with that id" });
+  res.json({ ok: true, id: req.params.id });
 });
 
+// ======= INBOUND WEBHOOK VERIFICATION =======
+// Guards both Infobip webhooks (inbound SMS and delivery reports); for inbound SMS it runs before any
+// keyword handling. Each check is on only when configured:
+//   INBOUND_WEBHOOK_SECRET   shared secret in the INBOUND_SECRET_HEADER header (default x-webhook-secret);
+//                            never in the URL, where it would end up in proxy and provider logs
+//   INBOUND_HMAC_SECRET      HMAC-SHA256 of the raw body in INBOUND_SIGNATURE_HEADER (default x-signature),
+//                            hex or base64, optional "sha256=" prefix
+//   INBOUND_IP_ALLOWLIST     comma list of IPv4 addresses / CIDRs (set TRUST_PROXY behind a load balancer)
+// Repeated messageIds are acked but not handled again.
+const INBOUND_WEBHOOK_SECRET = process.env.INBOUND_WEBHOOK_SECRET || "";
+const INBOUND_SECRET_HEADER = (process.env.INBOUND_SECRET_HEADER || "x-webhook-secret").toLowerCase();
+const INBOUND_HMAC_SECRET = process.env.INBOUND_HMAC_SECRET || "";
+const INBOUND_SIGNATURE_HEADER = (process.env.INBOUND_SIGNATURE_HEADER || "x-signature").toLowerCase();
+const INBOUND_IP_ALLOWLIST = splitCsv(process.env.INBOUND_IP_ALLOWLIST);
+const INBOUND_DEDUPE_FILE = "inbound-seen.json";
+const INBOUND_DEDUPE_MAX = Number(process.env.INBOUND_DEDUPE_MAX || 5000);
+
+if (!INBOUND_WEBHOOK_SECRET && !INBOUND_HMAC_SECRET && !INBOUND_IP_ALLOWLIST.length) {
+  log.warn("[ENV] inbound SMS and delivery-report webhooks are unauthenticated (set INBOUND_WEBHOOK_SECRET, INBOUND_HMAC_SECRET or INBOUND_IP_ALLOWLIST)");
+}
+
+const inboundSeen = loadJson(INBOUND_DEDUPE_FILE, {}); // { [messageId]: receivedAt }
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && timingSafeEqual(x, y);
+}
+
+function ipv4ToInt(ip) {
+  const parts = String(ip).split(".").map(Number);
+  if (parts.length !== 4 || parts.some(n => !Number.isInteger(n) || n < 0 || n > 255)) return null;
+  return ((parts[0] << 24) >>> 0) + (parts[1] << 16) + (parts[2] << 8) + parts[3];
+}
+
+function ipAllowed(ip, allowlist) {
+  const clean = String(ip || "").replace(/^::ffff:/, "");
+  return allowlist.some(entry => {
+    const [range, bitsRaw] = entry.split("/");
+    if (bitsRaw === undefined) return clean === range;
+    const addr = ipv4ToInt(clean);
+    const base = ipv4ToInt(range);
+    const bits = Number(bitsRaw);
+    if (addr === null || base === null || !(bits >= 0 && bits <= 32)) return false;
+    const mask = bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0;
+    return (addr & mask) === (base & mask);
+  });
+}
+
+function validHmacSignature(rawBody, header) {
+  const got = String(header || "").trim().replace(/^sha256=/i, "");
+  if (!got) return false;
+  const digest = createHmac("sha256", INBOUND_HMAC_SECRET).update(rawBody || Buffer.alloc(0)).digest();
+  return safeEqual(got.toLowerCase(), digest.toString("hex")) || safeEqual(got, digest.toString("base64"));
+}
+
+function rejectInbound(req, res, status, reason) {
+  log.warn("[inbound] rejected webhook", {
+    reason,
+    ip: req.ip,
+    userAgent: req.headers["user-agent"] || null,
+    bytes: req.rawBody?.length || 0
+  });
+  return res.status(status).json({ ok: false, error: "Forbidden" });
+}
+
+function verifyInboundWebhook(req, res, next) {
+  if (INBOUND_IP_ALLOWLIST.length && !ipAllowed(req.ip, INBOUND_IP_ALLOWLIST)) {
+    return rejectInbound(req, res, 403, "ip_not_allowed");
+  }
+  if (INBOUND_WEBHOOK_SECRET) {
+    const got = req.headers[INBOUND_SECRET_HEADER] || "";
+    if (!safeEqual(got, INBOUND_WEBHOOK_SECRET)) return rejectInbound(req, res, 401, "bad_shared_secret");
+  }
+  if (INBOUND_HMAC_SECRET && !validHmacSignature(req.rawBody, req.headers[INBOUND_SIGNATURE_HEADER])) {
+    return rejectInbound(req, res, 401, "bad_signature");
+  }
+  next();
+}
+
+// Infobip retries deliveries it thinks failed; a replayed messageId must not re-run keyword handling
+function dedupeInbound(req, res, next) {
+  const msg = req.body?.results?.[0] || req.body?.messages?.[0] || req.body?.inboundMessage || req.body;
+  const messageId = String(msg?.messageId || msg?.id || "").trim();
+  if (!messageId) return next();
+
+  if (inboundSeen[messageId]) {
+    log.warn("[inbound] duplicate messageId ignored", { messageId, firstSeen: inboundSeen[messageId] });
+    return res.status(200).json({ ok: true, duplicate: true });
+  }
+
+  inboundSeen[messageId] = new Date().toISOString();
+  const ids = Object.keys(inboundSeen);
+  for (const id of ids.slice(0, Math.max(0, ids.length - INBOUND_DEDUPE_MAX))) delete inboundSeen[id];
+  saveJson(INBOUND_DEDUPE_FILE, inboundSeen);
+  next();
+}
+
+// The number the client texted says which shop they mean; unknown numbers go to the first location
+function routeInboundToLocation(req, res, next) {
+  const msg = req.body?.results?.[0] || req.body?.messages?.[0] || req.body?.inboundMessage || req.body;
+  const loc = findLocationByNumber(msg?.to) || PRIMARY_LOCATION;
+  withLocation(loc, next);
+}
+
 // --- Inbound SMS webhook (Infobip -> you) ---
-app.post("/webhooks/infobip/inbound-sms", async (req, res) => {
+app.post("/webhooks/infobip/inbound-sms", verifyInboundWebhook, dedupeInbound, routeInboundToLocation, async (req, res) => {
+  let inbound = null; // history entry; `matched` says which branch handled it
   try {
     // Handle common Infobip MO payload shapes
     const msg =
@@ -640,110 +3934,525 @@ app.post("/webhooks/infobip/inbound-sms", async (req, res) => {
        "").toString();
 
     const norm = raw.trim().toUpperCase().replace(/\s+/g, " ");
+    inbound = {
+      from,
+      to: msg?.to || null,
+      text: raw,
+      messageId: msg?.messageId || null,
+      matched: "DEFAULT_REPLY",
+      at: new Date().toISOString()
+    };
 
     // Compliance keywords
     if (STOP_WORDS.includes(norm)) {
-      console.log(`STOP received from ${from}; honoring opt-out (no reply).`);
+      inbound.matched = norm;
+      log.info("STOP received; honoring opt-out (no reply)", { from, keyword: norm });
+      recordOptOut(from, { keyword: norm, source: "sms" });
       return res.status(200).json({ ok: true });
     }
 
-    if (START_WORDS.includes(norm)) {
-      console.log(`START received from ${from}; sending re-opt confirmation.`);
-      await sendSms({
-        to: from,
-        text: "You are opted in. Reply HELP for info or STOP to opt out anytime."
-      });
+    if (START_WORDS.includes(norm)) {
+      inbound.matched = norm;
+      log.info("START received; sending re-opt confirmation", { from, keyword: norm });
+      clearOptOut(from, { keyword: norm, source: "sms" });
+      await sendSms({
+        to: from,
+        eventType: "INBOUND_REPLY",
+        templateType: "START_CONFIRM",
+        text: TEMPLATES.START_CONFIRM({})
+      });
+      return res.json({ ok: true });
+    }
+
+    if (norm === "HELP") {
+      inbound.matched = "HELP";
+      log.info("HELP detected", { from });
+      await sendSms({
+        to: from,
+        ignoreOptOut: true,
+        eventType: "INBOUND_REPLY",
+        templateType: "HELP",
+        text: TEMPLATES.HELP({ helpPhone: currentLocation().helpPhone })
+      });
+      return res.json({ ok: true });
+    }
+
+    // --- BARBER COMMANDS VIA SMS (AVAILABLE, UNAVAILABLE, BREAK 15, STATUS, QUEUE, DONE, LIST/?) ---
+    const barberCmd = parseBarberCommand(norm);
+    if (barberCmd && await handleBarberCommand(barberCmd, from)) {
+      inbound.matched = `BARBER_${barberCmd.command}`;
+      return res.json({ ok: true });
+    }
+
+    // --- CLIENT SELF-SERVICE (WHERE/POSITION, LATE 10, LEAVE) ---
+    const clientCmd = parseClientCommand(norm);
+    if (clientCmd) {
+      inbound.matched = `CLIENT_${clientCmd.command}`;
+      await handleClientCommand(clientCmd, from);
+      return res.json({ ok: true });
+    }
+
+    // --- MASKED RELAY (client <-> assigned barber) ---
+    if (await relayInbound(from, raw)) {
+      inbound.matched = "RELAY";
       return res.json({ ok: true });
     }
 
-    if (norm === "HELP") {
-      console.log(`HELP detected from ${from}`);
-      await sendSms({
-        to: from,
-        text:
-          "Elite Kutz: For help with SMS visit updates, call (972) 673-0114 or email support@elitekutzkiosk.com. Reply STOP to opt out, START to rejoin."
-      });
+    // Anything else goes to the shop so it isn't lost
+    if (await forwardToShop(from, raw)) {
+      inbound.matched = "FORWARDED";
       return res.json({ ok: true });
     }
 
-// --- BARBER AVAILABILITY VIA SMS ---
-if (norm === "AVAILABLE" || norm === "UNAVAILABLE") {
-  const fromNormalized = normalizeUS(from);
-  const barber = await lookupBarberByPhoneLive(fromNormalized);
+    // Nowhere to forward it (no SHOP_FORWARD_NUMBER): kept as UNHANDLED so it shows up on /admin
+    inbound.matched = "UNHANDLED";
+    log.warn("Inbound text not forwarded: no shopForwardNumber for this location", { from });
 
-  if (!barber || !barber.name) {
+    // Default friendly auto-reply (keep only one)
     await sendSms({
       to: from,
-      text: "Elite Kutz: This number is not recognized for barber controls."
+      eventType: "INBOUND_REPLY",
+      templateType: "DEFAULT_REPLY",
+      text: TEMPLATES.DEFAULT_REPLY({})
     });
     return res.json({ ok: true });
+
+  } catch (err) {
+    log.error("Inbound handler error:", err);
+    if (inbound) inbound.error = String(err?.message || err);
+    // Still ack so Infobip doesn’t retry forever
+    return res.status(200).json({ ok: true });
+  } finally {
+    if (inbound) {
+      recordInboundMessage(inbound);
+      smsInboundTotal.inc({ matched: inbound.matched, location: currentLocation().id });
+    }
   }
+});
 
-  const status = (norm === "AVAILABLE") ? "available" : "unavailable";
-  const barberName = String(barber.name || "").trim();
+// --- Delivery reports webhook (Infobip -> you) ---
+// Infobip posts { results: [{ messageId, to, status:{ groupName, ... }, error:{...}, doneAt }] }
+// Same verification as inbound SMS: statuses here settle "did the client get the text" disputes.
+app.post("/webhooks/infobip/delivery-reports", verifyInboundWebhook, (req, res) => {
+  try {
+    const reports = Array.isArray(req.body?.results) ? req.body.results : [req.body];
+    let matched = 0;
+    for (const r of reports) {
+      const entry = applyDeliveryReport(r);
+      if (!entry) continue;
+      if (entry.eventType) matched++;
+      log.info("<- DLR", { messageId: entry.messageId, to: entry.to, eventType: entry.eventType, status: entry.status, error: entry.error?.name || null });
+    }
+    saveDeliveries();
+    return res.json({ ok: true, received: reports.length, matched });
+  } catch (err) {
+    log.error("DLR handler error:", err);
+    // ack anyway so Infobip doesn't keep retrying a payload we can't parse
+    return res.status(200).json({ ok: true });
+  }
+});
 
-  console.log("Inbound flip request from SMS ->", {
-    from: fromNormalized,
-    barberId: barber.id,
-    barberName,
-    status
-  });
+// GET /api/deliveries?phone=&eventType=&status=&since=&until=&limit=
+app.get("/api/deliveries", requireKioskAuth, (req, res) => {
+  const phone = req.query.phone ? normalizeUS(req.query.phone) : "";
+  const eventType = String(req.query.eventType || "").trim();
+  const status = String(req.query.status || "").trim().toUpperCase();
+  const since = req.query.since ? Date.parse(req.query.since) : NaN;
+  const until = req.query.until ? Date.parse(req.query.until) : NaN;
+  const limit = Math.min(Number(req.query.limit) || 200, 2000);
+  if ((req.query.since && isNaN(since)) || (req.query.until && isNaN(until))) {
+    return res.status(400).json({ ok: false, error: "since/until must be ISO dates" });
+  }
 
-  const result = await notifyKioskBarberStatus(barberName, status);
-  console.log("Flip result:", result);
+  const rows = Object.values(deliveries)
+    .filter(inCurrentLocation)
+    .filter(d => !phone || d.to === phone)
+    .filter(d => !eventType || d.eventType === eventType)
+    .filter(d => !status || d.status === status)
+    .filter(d => isNaN(since) || Date.parse(d.sentAt) >= since)
+    .filter(d => isNaN(until) || Date.parse(d.sentAt) <= until)
+    .sort((a, b) => String(b.sentAt).localeCompare(String(a.sentAt)));
 
-  await sendSms({
-    to: from,
-    text: `Elite Kutz: ${barberName} set to ${status.toUpperCase()}.`
+  res.json({ ok: true, count: rows.length, deliveries: rows.slice(0, limit) });
+});
+
+// --- Message history search + CSV export (kiosk token) ---
+// GET /api/messages?phone=&barber=&eventType=&direction=&since=&until=&q=&limit=
+// GET /api/messages.csv  (same filters, no limit)
+function filterMessageHistory(query) {
+  const errors = [];
+  const since = query.since ? Date.parse(query.since) : NaN;
+  const until = query.until ? Date.parse(query.until) : NaN;
+  if ((query.since && isNaN(since)) || (query.until && isNaN(until))) errors.push("since/until must be ISO dates");
+
+  const phones = new Set();
+  if (query.phone) phones.add(normalizeUS(query.phone));
+  if (query.barber) {
+    const b = getBarberById(query.barber) || findBarberByName(query.barber);
+    if (!b) errors.push(`Unknown barber: ${query.barber}`);
+    else phones.add(b.phone);
+  }
+  if (errors.length) return { errors };
+
+  const eventType = String(query.eventType || "").trim();
+  const direction = String(query.direction || "").trim().toLowerCase();
+  const q = String(query.q || "").trim().toLowerCase();
+
+  const rows = messageHistory
+    .filter(inCurrentLocation)
+    .filter(m => !phones.size || phones.has(m.phone))
+    .filter(m => !eventType || m.eventType === eventType)
+    .filter(m => !direction || m.direction === direction)
+    .filter(m => isNaN(since) || Date.parse(m.at) >= since)
+    .filter(m => isNaN(until) || Date.parse(m.at) <= until)
+    .filter(m => !q || String(m.text || "").toLowerCase().includes(q))
+    .map(m => ({ ...m, deliveryStatus: (m.messageId && deliveries[m.messageId]?.status) || null }))
+    .sort((a, b) => String(b.at).localeCompare(String(a.at)));
+  return { rows };
+}
+
+app.get("/api/messages", requireKioskAuth, (req, res) => {
+  const { rows, errors } = filterMessageHistory(req.query);
+  if (errors) return res.status(400).json({ ok: false, error: errors.join("; ") });
+  const limit = Math.min(Number(req.query.limit) || 200, 5000);
+  res.json({ ok: true, count: rows.length, messages: rows.slice(0, limit) });
+});
+
+const MESSAGE_CSV_COLUMNS = [
+  "at", "direction", "phone", "from", "to", "eventType", "templateType",
+  "matched", "text", "messageId", "result", "deliveryStatus", "error"
+];
+
+// Inbound texts are attacker-controlled: a leading ' stops Excel/Sheets running them as formulas.
+// Plain E.164 numbers (+15551234567) can't be a formula, so they're left as they are.
+function csvCell(v) {
+  let str = v === null || v === undefined ? "" : String(v);
+  if (/^[=+\-@\t\r]/.test(str) && !/^\+\d+$/.test(str)) str = "'" + str;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+app.get("/api/messages.csv", requireKioskAuth, (req, res) => {
+  const { rows, errors } = filterMessageHistory(req.query);
+  if (errors) return res.status(400).json({ ok: false, error: errors.join("; ") });
+  const lines = [MESSAGE_CSV_COLUMNS.join(",")]
+    .concat(rows.map(r => MESSAGE_CSV_COLUMNS.map(c => csvCell(r[c])).join(",")));
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="elitekutz-messages-${new Date().toISOString().slice(0, 10)}.csv"`);
+  res.send(lines.join("\r\n") + "\r\n");
+});
+
+// ======= SHOP HOURS =======
+// SHOP_HOURS="Mon-Sat 09:00-20:00; Sun 11:00-17:00" in SHOP_TIMEZONE (default America/Chicago); a location's
+// own shopHours / shopTimezone take their place for it. Days not listed are closed. Scheduled texts that
+// come due outside their location's hours wait for its next opening.
+const SHOP_TIMEZONE = process.env.SHOP_TIMEZONE || "America/Chicago";
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// `source` names the setting in parse warnings
+function parseShopHours(spec, source = "[ENV] SHOP_HOURS") {
+  const hours = {}; // { 0..6: [{ open: minutes, close: minutes }] }
+  for (const part of String(spec || "").split(";").map(x => x.trim()).filter(Boolean)) {
+    const m = part.match(/^([a-z]{3})(?:-([a-z]{3}))?\s+(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/i);
+    if (!m) {
+      log.warn(`${source}: can't parse part (expected e.g. "Mon-Sat 09:00-20:00")`, { part });
+      continue;
+    }
+    const from = WEEKDAYS.indexOf(m[1].toLowerCase());
+    const to = WEEKDAYS.indexOf((m[2] || m[1]).toLowerCase());
+    if (from < 0 || to < 0) continue;
+    const open = Number(m[3]) * 60 + Number(m[4]);
+    const close = Number(m[5]) * 60 + Number(m[6]);
+    for (let d = from; ; d = (d + 1) % 7) {
+      (hours[d] = hours[d] || []).push({ open, close });
+      if (d === to) break;
+    }
+  }
+  return hours;
+}
+
+const SHOP_HOURS = parseShopHours(process.env.SHOP_HOURS || "Mon-Sun 08:00-21:00");
+const LOCATION_SHOP_HOURS = new Map(
+  LOCATIONS.filter(l => l.shopHours).map(l => [l.id, parseShopHours(l.shopHours, `[LOCATIONS] ${l.id}: shopHours`)])
+);
+
+// A location's own shopHours / shopTimezone, else SHOP_HOURS / SHOP_TIMEZONE
+function shopHoursFor(loc = currentLocation()) {
+  return LOCATION_SHOP_HOURS.get(loc.id) || SHOP_HOURS;
+}
+
+function shopTimezoneFor(loc = currentLocation()) {
+  return loc.shopTimezone || SHOP_TIMEZONE;
+}
+
+const shopClockFormats = new Map(); // time zone -> Intl.DateTimeFormat
+
+function shopClock(date, timeZone) {
+  if (!shopClockFormats.has(timeZone)) {
+    shopClockFormats.set(timeZone, new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      weekday: "short",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23"
+    }));
+  }
+  const parts = Object.fromEntries(shopClockFormats.get(timeZone).formatToParts(date).map(p => [p.type, p.value]));
+  return { day: WEEKDAYS.indexOf(parts.weekday.toLowerCase()), minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+}
+shopClock(new Date(), SHOP_TIMEZONE); // a bad SHOP_TIMEZONE stops the boot, not the first scheduled send
+
+// `hours` is anything parseShopHours returned (campaigns pass their own CAMPAIGN_HOURS); hours and
+// time zone default to the current location's
+function isWithinShopHours(date = new Date(), hours = shopHoursFor(), timeZone = shopTimezoneFor()) {
+  const { day, minutes } = shopClock(date, timeZone);
+  return (hours[day] || []).some(w => minutes >= w.open && minutes < w.close);
+}
+
+// First minute at/after `date` when the shop is open (null if its hours have no open days)
+function nextShopOpenTime(date = new Date(), hours = shopHoursFor(), timeZone = shopTimezoneFor()) {
+  if (isWithinShopHours(date, hours, timeZone)) return date;
+  const t = new Date(date);
+  t.setSeconds(0, 0);
+  for (let i = 0; i < 8 * 24 * 60; i++) {
+    t.setTime(t.getTime() + 60 * 1000);
+    if (isWithinShopHours(t, hours, timeZone)) return t;
+  }
+  return null;
+}
+
+// ======= SCHEDULER (sendAt / delayMinutes on any send or event; data/scheduled.json) =======
+// Every /api/send-* route and /events accept one of:
+//   sendAt: ISO time | delayMinutes: n | delaySeconds: n
+// The job is persisted and answered with 202 + its id; cancel with DELETE /api/scheduled/:id.
+// "sms" jobs are rendered now and handed to the outbox when due; "event" jobs are planned when due,
+// so they use the roster as it is at that moment.
+const SCHEDULE_FILE = "scheduled.json";
+const SCHEDULE_POLL_MS = Number(process.env.SCHEDULE_POLL_MS || 15000);
+const SCHEDULE_MAX_DAYS = Number(process.env.SCHEDULE_MAX_DAYS || 30);
+const SCHEDULE_KEEP_DONE_MS = 7 * 24 * 60 * 60 * 1000;
+
+const scheduleStore = loadJson(SCHEDULE_FILE, { jobs: [] });
+
+function saveSchedule() {
+  const cutoff = Date.now() - SCHEDULE_KEEP_DONE_MS;
+  scheduleStore.jobs = scheduleStore.jobs.filter(j => j.status === "pending" || Date.parse(j.finishedAt || j.createdAt) > cutoff);
+  saveJson(SCHEDULE_FILE, scheduleStore);
+}
+
+// -> null (send now) | { sendAt: Date } | { error }
+function parseScheduleRequest(body) {
+  const { sendAt, delayMinutes, delaySeconds } = body || {};
+  if (sendAt === undefined && delayMinutes === undefined && delaySeconds === undefined) return null;
+
+  let at;
+  if (sendAt !== undefined) {
+    at = new Date(sendAt);
+    if (isNaN(at.getTime())) return { error: "sendAt must be an ISO date/time" };
+  } else {
+    const ms = delayMinutes !== undefined ? Number(delayMinutes) * 60 * 1000 : Number(delaySeconds) * 1000;
+    if (!Number.isFinite(ms) || ms < 0) return { error: "delayMinutes/delaySeconds must be a non-negative number" };
+    at = new Date(Date.now() + ms);
+  }
+  if (at.getTime() > Date.now() + SCHEDULE_MAX_DAYS * 24 * 60 * 60 * 1000) {
+    return { error: `Can't schedule more than ${SCHEDULE_MAX_DAYS} days ahead` };
+  }
+  if (at.getTime() <= Date.now()) return null; // already due: just send
+  return { sendAt: at };
+}
+
+function scheduleJob(job, when) {
+  const opensAt = nextShopOpenTime(when.sendAt);
+  const entry = {
+    id: randomUUID(),
+    location: currentLocation().id,
+    reqId: currentRequestId(),
+    status: "pending",
+    createdAt: new Date().toISOString(),
+    requestedSendAt: when.sendAt.toISOString(),
+    sendAt: (opensAt || when.sendAt).toISOString(),
+    ...job
+  };
+  scheduleStore.jobs.push(entry);
+  saveSchedule();
+  log.info("Scheduled", { id: entry.id, kind: entry.kind, eventType: entry.eventType || entry.type, sendAt: entry.sendAt });
+  return entry;
+}
+
+function scheduledResponse(res, entry, warnings = []) {
+  return res.status(202).json({
+    ok: true,
+    scheduled: { id: entry.id, kind: entry.kind, sendAt: entry.sendAt, requestedSendAt: entry.requestedSendAt },
+    ...(warnings.length ? { warnings } : {})
   });
-  return res.json({ ok: true });
 }
 
-    // Default friendly auto-reply (keep only one)
-    await sendSms({
-      to: from,
-      text: "Thanks! Reply HELP for info or STOP to opt out."
-    });
-    return res.json({ ok: true });
+async function runScheduledJob(job) {
+  if (job.kind === "event") {
+    // checked again under the version it was queued with: the roster, or the versions this build
+    // understands, may have changed since
+    const { payload, errors, warnings } = validateEvent({ type: job.type, schemaVersion: job.schemaVersion, payload: job.payload });
+    if (errors.length) throw eventValidationError(errors);
+    if (warnings.length) log.warn("Scheduled event", { id: job.id, warnings });
+    return dispatchEvent(job.type, payload);
+  }
 
-  } catch (err) {
-    console.error("Inbound handler error:", err);
-    // Still ack so Infobip doesn’t retry forever
-    return res.status(200).json({ ok: true });
+  const [item] = enqueueOutbound([{ to: job.to, text: job.text, type: job.templateType }], { eventType: job.eventType });
+  const r = await attemptOutbound(item);
+  // feedback means the service is over: same as the immediate /api/send-feedback path
+  if (job.eventType === "SEND_FEEDBACK" && r.status === "sent") closeRelayForClient(job.to, "feedback");
+  return r;
+}
+
+let scheduleRunning = false;
+async function runDueSchedules() {
+  if (scheduleRunning) return;
+  scheduleRunning = true;
+  try {
+    const now = new Date();
+    const due = scheduleStore.jobs.filter(j => j.status === "pending" && Date.parse(j.sendAt) <= now.getTime());
+    if (!due.length) return;
+
+    // each job keeps to its own location's hours
+    const ready = [];
+    for (const j of due) {
+      const opensAt = withLocation(getLocationById(j.location), () => (isWithinShopHours(now) ? null : nextShopOpenTime(now) || now));
+      if (!opensAt) {
+        ready.push(j);
+        continue;
+      }
+      j.sendAt = opensAt.toISOString();
+      log.info("Scheduled job held until shop opens", { id: j.id, location: j.location, sendAt: j.sendAt });
+    }
+    if (ready.length < due.length) saveSchedule();
+
+    for (const job of ready) {
+      job.status = "running";
+      saveSchedule();
+      try {
+        job.result = await withRequestId(job.reqId, () => withLocation(getLocationById(job.location), () => runScheduledJob(job)));
+        job.status = "done";
+      } catch (e) {
+        log.error("Scheduled job failed", { id: job.id, err: e.message });
+        job.status = "failed";
+        job.error = e.message;
+      }
+      job.finishedAt = new Date().toISOString();
+      saveSchedule();
+    }
+  } catch (e) {
+    log.error("Scheduler error:", e);
+  } finally {
+    scheduleRunning = false;
+  }
+}
+
+// jobs left "running" by a crash go back to pending so they aren't lost
+for (const j of scheduleStore.jobs) if (j.status === "running") j.status = "pending";
+setInterval(runDueSchedules, SCHEDULE_POLL_MS).unref();
+createGauge("sms_scheduled_pending", "Scheduled sends/events not yet due", () => ({
+  "": scheduleStore.jobs.filter(j => j.status === "pending").length
+}));
+
+// GET    /api/scheduled                     -> pending jobs (?all=1 for recently finished/canceled too)
+// DELETE /api/scheduled/:id                 -> cancel one
+// DELETE /api/scheduled?to=&eventType=      -> cancel every pending job matching (e.g. a client's feedback)
+app.get("/api/scheduled", requireKioskAuth, (req, res) => {
+  const jobs = scheduleStore.jobs.filter(j => inCurrentLocation(j) && (req.query.all || j.status === "pending"));
+  res.json({ ok: true, count: jobs.length, jobs: jobs.slice().sort((a, b) => String(a.sendAt).localeCompare(String(b.sendAt))) });
+});
+
+function cancelScheduled(match) {
+  const canceled = scheduleStore.jobs.filter(j => j.status === "pending" && inCurrentLocation(j) && match(j));
+  const at = new Date().toISOString();
+  for (const j of canceled) {
+    j.status = "canceled";
+    j.finishedAt = at;
   }
+  if (canceled.length) saveSchedule();
+  return canceled;
+}
+
+app.delete("/api/scheduled/:id", requireKioskAuth, idempotent, (req, res) => {
+  const canceled = cancelScheduled(j => j.id === req.params.id);
+  if (!canceled.length) return res.status(404).json({ ok: false, error: "No pending job with that id" });
+  res.json({ ok: true, canceled: canceled.map(j => j.id) });
+});
+
+app.delete("/api/scheduled", requireKioskAuth, idempotent, (req, res) => {
+  const to = req.query.to ? normalizeUS(req.query.to) : "";
+  const eventType = String(req.query.eventType || "").trim();
+  if (!to && !eventType) return res.status(400).json({ ok: false, error: "Give ?to= and/or ?eventType=" });
+  const canceled = cancelScheduled(j =>
+    (!to || normalizeUS(j.to || j.payload?.clientPhone) === to) &&
+    (!eventType || (j.eventType || j.type) === eventType)
+  );
+  res.json({ ok: true, canceled: canceled.map(j => j.id) });
 });
 
 // --- Kiosk-triggered endpoints (you -> Infobip) ---
-app.post("/api/send-ready", requireKioskAuth, async (req, res) => {
+app.post("/api/send-ready", requireKioskAuth, idempotent, async (req, res) => {
   try {
-    const { to, barber } = req.body || {};
+    const { to, barber, language } = req.body || {};
     if (!to || !barber) return res.status(400).json({ ok: false, error: "Missing to/barber" });
-    const result = await sendSms({
+    const msg = {
       to,
-      text: `Elite Kutz: Your chair is ready with ${barber}. Reply STOP to cancel, HELP for help, START to re-opt in.`
-    });
+      eventType: "SEND_READY",
+      templateType: "READY",
+      text: TEMPLATES.READY({ barberName: barber }, language)
+    };
+
+    const when = parseScheduleRequest(req.body);
+    if (when?.error) return res.status(400).json({ ok: false, error: when.error });
+    if (when) return scheduledResponse(res, scheduleJob({ kind: "sms", ...msg }, when));
+
+    const result = await sendSms(msg);
     res.json({ ok: true, result });
   } catch (e) {
-    res.status(500).json({ ok: false, error: e.message });
+    res.status(500).json({ ok: false, error: publicSendError(e) });
   }
 });
 
-app.post("/api/send-assignment", requireKioskAuth, async (req, res) => {
+app.post("/api/send-assignment", requireKioskAuth, idempotent, async (req, res) => {
   try {
-    const { to, client, barber, position } = req.body || {};
+    const { to, client, barber, position, language } = req.body || {};
     if (!to || !client || !barber) return res.status(400).json({ ok: false, error: "Missing to/client/barber" });
-    const p = Number.isFinite(Number(position)) ? `You're #${Number(position)} in line. ` : "";
-    const result = await sendSms({
+    const p = Number.isFinite(Number(position))
+      ? TEMPLATES.ASSIGNMENT_POSITION_NOTE({ position: Number(position) }, language)
+      : "";
+    const msg = {
       to,
-      text: `Elite Kutz: ${client}, you're assigned to ${barber}. ${p}Reply STOP to cancel, HELP for help, START to re-opt in.`
-    });
+      eventType: "SEND_ASSIGNMENT",
+      templateType: "ASSIGNMENT",
+      text: TEMPLATES.ASSIGNMENT({
+        clientName: client,
+        barberName: barber,
+        position: Number.isFinite(Number(position)) ? Number(position) : "",
+        positionNote: p
+      }, language)
+    };
+
+    const when = parseScheduleRequest(req.body);
+    if (when?.error) return res.status(400).json({ ok: false, error: when.error });
+    if (when) return scheduledResponse(res, scheduleJob({ kind: "sms", ...msg }, when));
+
+    const result = await sendSms(msg);
     res.json({ ok: true, result });
   } catch (e) {
-    res.status(500).json({ ok: false, error: e.message });
+    res.status(500).json({ ok: false, error: publicSendError(e) });
   }
 });
 
-app.post("/api/send-custom", requireKioskAuth, async (req, res) => {
+// Shared with the admin dashboard's send form
+function buildCustomMessage(to, message) {
+  return {
+    to,
+    eventType: "SEND_CUSTOM",
+    templateType: "CUSTOM",
+    text: String(message)
+  };
+}
+
+app.post("/api/send-custom", requireKioskAuth, idempotent, async (req, res) => {
   try {
     const { to, message } = req.body || {};
 
@@ -751,66 +4460,81 @@ app.post("/api/send-custom", requireKioskAuth, async (req, res) => {
       return res.status(400).json({ ok: false, error: "Missing to/message" });
     }
 
-    const result = await sendSms({
-      to,
-      text: String(message)
-    });
+    const msg = buildCustomMessage(to, message);
 
+    const when = parseScheduleRequest(req.body);
+    if (when?.error) return res.status(400).json({ ok: false, error: when.error });
+    if (when) return scheduledResponse(res, scheduleJob({ kind: "sms", ...msg }, when));
+
+    const result = await sendSms(msg);
     res.json({ ok: true, result });
   } catch (e) {
-    res.status(500).json({ ok: false, error: e.message });
+    res.status(500).json({ ok: false, error: publicSendError(e) });
   }
 });
 
 // --- Kiosk-triggered: removed from waitlist ---
-app.post("/api/send-removed", requireKioskAuth, async (req, res) => {
+app.post("/api/send-removed", requireKioskAuth, idempotent, async (req, res) => {
   try {
-    const { to } = req.body || {};
+    const { to, language } = req.body || {};
     if (!to) return res.status(400).json({ ok: false, error: "Missing to" });
 
-    const result = await sendSms({
+    const msg = {
       to,
-      text:
-        "Elite Kutz: You’ve been removed from the waitlist. If you still need service, please check in again. Reply STOP to opt out, HELP for help, START to rejoin."
-    });
+      eventType: "SEND_REMOVED",
+      templateType: "REMOVED",
+      text: TEMPLATES.REMOVED({}, language)
+    };
+
+    const when = parseScheduleRequest(req.body);
+    if (when?.error) return res.status(400).json({ ok: false, error: when.error });
+    if (when) return scheduledResponse(res, scheduleJob({ kind: "sms", ...msg }, when));
+
+    const result = await sendSms(msg);
     res.json({ ok: true, result });
   } catch (e) {
-    res.status(500).json({ ok: false, error: e.message });
+    res.status(500).json({ ok: false, error: publicSendError(e) });
   }
 });
 
 // --- Kiosk-triggered: position update ---
-app.post("/api/send-position", requireKioskAuth, async (req, res) => {
+app.post("/api/send-position", requireKioskAuth, idempotent, async (req, res) => {
   try {
-    const { to, position } = req.body || {};
+    const { to, position, language } = req.body || {};
     if (!to || !Number.isFinite(Number(position))) {
       return res.status(400).json({ ok: false, error: "Missing to/position" });
     }
 
     const pos = Number(position);
 
-    const result = await sendSms({
+    const msg = {
       to,
-      text:
-        `Elite Kutz: You're #${pos} in line. Keep your phone nearby—reply STOP to opt out, HELP for help, START to rejoin.`
-    });
+      eventType: "SEND_POSITION",
+      templateType: "POSITION",
+      text: TEMPLATES.POSITION({ position: pos, ...etaVars(pos, language) }, language)
+    };
+
+    const when = parseScheduleRequest(req.body);
+    if (when?.error) return res.status(400).json({ ok: false, error: when.error });
+    if (when) return scheduledResponse(res, scheduleJob({ kind: "sms", ...msg }, when));
 
+    const result = await sendSms(msg);
     res.json({ ok: true, result });
 
   } catch (e) {
-    res.status(500).json({ ok: false, error: e.message });
+    res.status(500).json({ ok: false, error: publicSendError(e) });
   }
 });
 
 
 // --- Kiosk-triggered: feedback review link ---
-app.post("/api/send-feedback", requireKioskAuth, async (req, res) => {
+app.post("/api/send-feedback", requireKioskAuth, idempotent, async (req, res) => {
   const started = Date.now();
-  const { to, client, barber, link, token, message } = req.body || {};
+  const { to, client, barber, link, token, message, language } = req.body || {};
   const toNorm = normalizeUS(to);
   const customMessage = typeof message === "string" ? message.trim() : "";
 
-  console.log("[send-feedback] request", {
+  log.info("[send-feedback] request", {
     to: toNorm,
     client: client || null,
     barber,
@@ -826,13 +4550,24 @@ app.post("/api/send-feedback", requireKioskAuth, async (req, res) => {
   try {
     const text = customMessage !== ""
       ? customMessage
-      : `Elite Kutz: How was your service with ${barber}? ` +
-        `Leave feedback: ${link} ` +
-        `Reply STOP to opt out, HELP for help, START to rejoin.`;
+      : TEMPLATES.FEEDBACK({ clientName: client || "", barberName: barber, link }, language);
 
-    const result = await sendSms({ to: toNorm, text });
+    const msg = {
+      to: toNorm,
+      text,
+      eventType: "SEND_FEEDBACK",
+      templateType: customMessage !== "" ? "CUSTOM" : "FEEDBACK"
+    };
+
+    const when = parseScheduleRequest(req.body);
+    if (when?.error) return res.status(400).json({ ok: false, error: when.error });
+    if (when) return scheduledResponse(res, scheduleJob({ kind: "sms", ...msg }, when));
+
+    const result = await sendSms(msg);
 
-    console.log("[send-feedback] infobip accepted", {
+    closeRelayForClient(toNorm, "feedback");
+
+    log.info("[send-feedback] infobip accepted", {
       to: toNorm,
       token: token || null,
       ms: Date.now() - started,
@@ -840,44 +4575,702 @@ app.post("/api/send-feedback", requireKioskAuth, async (req, res) => {
 
     return res.json({ ok: true, to: toNorm, result });
   } catch (e) {
-    console.error("[send-feedback] failed", {
+    log.error("[send-feedback] failed", {
       to: toNorm,
       token: token || null,
       err: e.message,
       ms: Date.now() - started,
     });
-    return res.status(502).json({ ok: false, error: e.message });
+    return res.status(502).json({ ok: false, error: publicSendError(e) });
+  }
+});
+
+// --- Event schemas, for kiosk developers: GET /events/schemas ---
+app.get("/events/schemas", requireKioskAuth, (_req, res) => {
+  const events = Object.fromEntries(
+    Object.entries(EVENT_TYPES).map(([type, def]) => [type, { schema: def.schema, templates: def.templates }])
+  );
+  res.json({ ok: true, schemaVersions: EVENT_SCHEMA_VERSIONS, envelope: EVENT_ENVELOPE_KEYS, events });
+});
+
+// --- Dry run: plan an event without sending anything ---
+// Same body as /events. Returns every planned text with its encoding, segment count and cost,
+// so a new kiosk flow can be checked before it goes live.
+app.post("/events/preview", requireKioskAuth, (req, res) => {
+  try {
+    const { type, payload, schemaVersion, errors, warnings } = validateEvent(req.body);
+    if (errors.length) return res.status(400).json({ ok: false, error: "Invalid event", schemaVersion, errors, warnings });
+
+    const planned = planMessages(type, payload);
+    const messages = planned.map((msg, i) => {
+      const prepared = prepareSmsText(msg.text, msg.type);
+      const info = prepared.info;
+      const suppressed = isOptedOut(msg.to);
+      return {
+        i,
+        to: normalizeUS(msg.to),
+        type: msg.type,
+        text: prepared.text,
+        ...(prepared.transliterated ? { originalText: msg.text } : {}),
+        encoding: info.encoding,
+        length: info.length,
+        segments: info.segments,
+        nonGsmChars: info.nonGsmChars,
+        overBudget: prepared.overBudget,
+        suppressed,
+        estimatedCost: suppressed ? 0 : estimateSmsCost(info.segments)
+      };
+    });
+
+    const billable = messages.filter(m => !m.suppressed);
+    const segments = billable.reduce((n, m) => n + m.segments, 0);
+    return res.json({
+      ok: true,
+      type,
+      schemaVersion,
+      warnings,
+      planned: messages.length,
+      totals: {
+        recipients: new Set(billable.map(m => m.to)).size,
+        suppressed: messages.length - billable.length,
+        segments,
+        ucs2Messages: billable.filter(m => m.encoding === "UCS-2").length,
+        estimatedCost: estimateSmsCost(segments),
+        currency: SMS_COST_CURRENCY,
+        costPerSegment: SMS_COST_PER_SEGMENT
+      },
+      messages
+    });
+  } catch (e) {
+    log.error("ERROR /events/preview:", e);
+    return res.status(e.httpStatus || 500).json({ ok: false, error: e.message, ...(e.fieldErrors ? { errors: e.fieldErrors } : {}) });
   }
 });
 
+// --- Kiosk fan-out: one event -> many SMS (used by /events and the scheduler) ---
+// Resolves to the /events report: { planned, sent, suppressed[], queued[], failed[] }
+async function dispatchEvent(type, payload = {}) {
+  // Plan messages from the event
+  const planned = planMessages(type, payload);
+  if (payload.clientPhone) rememberClientLocale(payload.clientPhone, payload.language ?? payload.locale);
+  if (!planned.length) return { planned: 0, sent: 0, suppressed: [], queued: [], failed: [] };
+
+  // Persist to the outbox first, then make the first attempt for all of them (batched into as few
+  // provider requests as the transport allows). Anything that fails transiently stays queued for the worker.
+  const items = enqueueOutbound(planned, { eventType: type });
+  const results = await attemptOutboundBatch(items);
+
+  // Basic reporting (opted-out recipients are reported as suppressed, not sent)
+  const okCount = results.filter(r => r.status === "sent").length;
+  const suppressed = results
+    .map((r, i) => (r.status === "suppressed" ? { i, to: r.result.to, type: planned[i].type } : null))
+    .filter(Boolean);
+  const queued = results
+    .map((r, i) => (r.status === "retrying" ? { i, id: items[i].id, to: normalizeUS(items[i].to), err: r.err, nextAttemptAt: r.nextAttemptAt } : null))
+    .filter(Boolean);
+  const fail = results
+    .map((r, i) => (r.status === "dead" ? { i, id: items[i].id, to: normalizeUS(items[i].to), err: r.err } : null))
+    .filter(Boolean);
+
+  // Per-type follow-up (relay sessions, wait-time history); see registerEventType
+  EVENT_TYPES[type].onDispatched?.(payload);
+
+  return { planned: planned.length, sent: okCount, suppressed, queued, failed: fail };
+}
+
 // --- Kiosk fan-out endpoint: one event -> many SMS ---
-app.post("/events", requireKioskAuth, async (req, res) => {
+app.post("/events", requireKioskAuth, idempotent, async (req, res) => {
   try {
-    const { type, payload = {} } = req.body || {};
-    if (!type) return res.status(400).json({ ok: false, error: "Missing event type" });
+    log.info("/events", { type: req.body?.type, schemaVersion: req.body?.schemaVersion, payload: req.body?.payload });
 
-    console.log("\n=== /events ===\n", JSON.stringify({ type, payload }, null, 2));
+    const { type, payload, schemaVersion, errors, warnings } = validateEvent(req.body);
+    if (errors.length) {
+      log.warn("/events rejected", { type, errors });
+      return res.status(400).json({ ok: false, error: "Invalid event", schemaVersion, errors, warnings });
+    }
 
-    // Plan messages from the event
-    const planned = planMessages(type, payload);
-    if (!planned.length) return res.status(400).json({ ok: false, error: "Nothing to send for this event" });
+    const when = parseScheduleRequest(req.body);
+    if (when?.error) return res.status(400).json({ ok: false, error: when.error });
+    if (when) {
+      // plan once now so a bad payload fails here, not silently at send time
+      if (!planMessages(type, payload).length) return res.status(400).json({ ok: false, error: "Nothing to send for this event" });
+      return scheduledResponse(res, scheduleJob({ kind: "event", type, schemaVersion, payload, to: payload.clientPhone || null }, when), warnings);
+    }
 
-    // Send them all (concurrently)
-    const results = await Promise.allSettled(
-      planned.map(msg => sendSms({ to: msg.to, text: msg.text }))
-    );
+    const report = await dispatchEvent(type, payload);
+    if (!report.planned) return res.status(400).json({ ok: false, error: "Nothing to send for this event" });
+
+    return res.json({ ok: true, schemaVersion, warnings, ...report });
+  } catch (e) {
+    log.error("ERROR /events:", e);
+    return res.status(e.httpStatus || 500).json({ ok: false, error: e.message, ...(e.fieldErrors ? { errors: e.fieldErrors } : {}) });
+  }
+});
+
+// ======= CAMPAIGNS (broadcasts to past clients; data/campaigns.json) =======
+// The audience is every number this location has successfully texted, minus opt-outs, barbers and the
+// shop's own numbers, optionally only those contacted since a date. It's fixed when the campaign is
+// created; opt-outs are checked again at send time (sendSms), so a STOP mid-campaign still counts.
+// Every text gets CAMPAIGN_STOP_FOOTER appended. Sends go out at ratePerMinute (CAMPAIGN_RATE_PER_MINUTE)
+// and only within CAMPAIGN_HOURS (same format as SHOP_HOURS, in each location's time zone; defaults to
+// the location's shop hours): outside
+// them a running campaign just waits. Each recipient ends up sent | suppressed | queued (outbox is
+// retrying) | failed | cancelled. Outbox retries of campaign texts keep to the same rules: they wait
+// outside CAMPAIGN_HOURS and while the campaign is paused, and cancelling drops them.
+const CAMPAIGN_FILE = "campaigns.json";
+const CAMPAIGN_RATE_PER_MINUTE = Number(process.env.CAMPAIGN_RATE_PER_MINUTE || 30);
+const CAMPAIGN_MAX_RATE_PER_MINUTE = 600;
+const CAMPAIGN_POLL_MS = Number(process.env.CAMPAIGN_POLL_MS || 2000);
+const CAMPAIGN_HOURS = process.env.CAMPAIGN_HOURS ? parseShopHours(process.env.CAMPAIGN_HOURS, "[ENV] CAMPAIGN_HOURS") : null;
+const CAMPAIGN_SAMPLE_SIZE = 10;
+const CAMPAIGN_TEXT_TYPE = "CAMPAIGN"; // templateType for history / SMS_SEGMENT_BUDGETS=CAMPAIGN:n
+
+const campaignStore = loadJson(CAMPAIGN_FILE, { campaigns: [] });
+
+function saveCampaigns() {
+  saveJson(CAMPAIGN_FILE, campaignStore);
+}
+
+function buildCampaignAudience({ since = null } = {}) {
+  const loc = currentLocation();
+  const staff = new Set([
+    ...listBarbers({ includeInactive: true }).map(b => b.phone),
+    ...Object.keys(loc.barberNumbers),
+    normalizeUS(loc.shopForwardNumber),
+    loc.sender
+  ].filter(Boolean));
+
+  const lastContactedAt = new Map();
+  for (const m of messageHistory) {
+    if (m.direction !== "outbound" || m.result !== "sent" || !inCurrentLocation(m)) continue;
+    if (since && Date.parse(m.at) < since.getTime()) continue;
+    if (!m.phone || staff.has(m.phone) || isOptedOut(m.phone)) continue;
+    if (String(m.at) > String(lastContactedAt.get(m.phone) || "")) lastContactedAt.set(m.phone, m.at);
+  }
+  return [...lastContactedAt.entries()]
+    .sort((a, b) => b[1].localeCompare(a[1]))
+    .map(([phone, at]) => ({ phone, lastContactedAt: at }));
+}
+
+function campaignText(message, locale) {
+  return `${String(message).trim()}\n${TEMPLATES.CAMPAIGN_STOP_FOOTER({}, locale)}`;
+}
+
+// Shared by preview and create -> { message, locale, since, text, prepared, audience } | { error }
+function parseCampaignRequest(body) {
+  const { message, since } = body || {};
+  if (!String(message || "").trim()) return { error: "message is required" };
+  const sinceDate = since ? new Date(since) : null;
+  if (sinceDate && isNaN(sinceDate.getTime())) return { error: "since must be an ISO date" };
+  const locale = normalizeLocale(body.locale);
+  const text = campaignText(message, locale);
+  return {
+    message: String(message).trim(),
+    locale,
+    since: sinceDate,
+    text,
+    prepared: prepareSmsText(text, CAMPAIGN_TEXT_TYPE),
+    audience: buildCampaignAudience({ since: sinceDate })
+  };
+}
+
+function campaignHoursFor(loc = currentLocation()) {
+  return CAMPAIGN_HOURS || shopHoursFor(loc);
+}
+
+// null while the current location's campaigns may send, else when they next can
+function campaignBlockedUntil(now = new Date()) {
+  if (isWithinShopHours(now, campaignHoursFor())) return null;
+  return nextShopOpenTime(now, campaignHoursFor())?.toISOString() || "never (CAMPAIGN_HOURS has no open days)";
+}
+
+function campaignSummary(c) {
+  const counts = {};
+  for (const r of c.recipients) counts[r.status] = (counts[r.status] || 0) + 1;
+  const { recipients, ...rest } = c;
+  return {
+    ...rest,
+    recipients: recipients.length,
+    counts,
+    blockedUntil: c.status === "running" ? campaignBlockedUntil() : null
+  };
+}
+
+function getCampaign(id) {
+  return campaignStore.campaigns.find(c => c.id === id && inCurrentLocation(c)) || null;
+}
+
+// Campaign an outbox item was queued for (null for everything else)
+function campaignFor(item) {
+  if (item.eventType !== "CAMPAIGN" || !item.campaignId) return null;
+  return campaignStore.campaigns.find(c => c.id === item.campaignId) || null;
+}
+
+// drainOutbox skips these until the campaign is resumed / CAMPAIGN_HOURS open again
+function campaignOutboxHeld(item, now) {
+  if (item.eventType !== "CAMPAIGN") return false;
+  if (campaignFor(item)?.status === "paused") return true;
+  const loc = getLocationById(item.location);
+  return !isWithinShopHours(new Date(now), campaignHoursFor(loc), shopTimezoneFor(loc));
+}
+
+async function sendCampaignMessage(c, recipient) {
+  const [item] = enqueueOutbound(
+    [{ to: recipient.phone, text: c.text, type: CAMPAIGN_TEXT_TYPE }],
+    { eventType: "CAMPAIGN", campaignId: c.id }
+  );
+  const r = await attemptOutbound(item);
+  recipient.at = new Date().toISOString();
+  if (r.status === "sent") {
+    recipient.status = "sent";
+    recipient.messageId = r.result?.messages?.[0]?.messageId || null;
+  } else if (r.status === "suppressed") {
+    recipient.status = "suppressed";
+  } else if (r.status === "retrying") {
+    recipient.status = "queued";
+    recipient.outboxId = item.id;
+    recipient.error = r.err;
+  } else {
+    recipient.status = "failed";
+    recipient.error = r.err || null;
+  }
+}
+
+// Send whatever this campaign is owed since its last tick, at most ratePerMinute
+async function runCampaignTick(c, now) {
+  const interval = 60000 / c.ratePerMinute;
+  // no catching up in a burst after a pause or closed hours: at most one poll's worth per tick
+  let next = Math.max(Date.parse(c.nextSendAt) || 0, now - CAMPAIGN_POLL_MS);
+  while (next <= now && c.status === "running") {
+    const recipient = c.recipients.find(r => r.status === "pending");
+    if (!recipient) break;
+    await sendCampaignMessage(c, recipient);
+    next += interval;
+  }
+  c.nextSendAt = new Date(next).toISOString();
+  // not done while outbox retries are left, so a pause or cancel still reaches them
+  const unfinished = r => r.status === "pending" || (r.status === "queued" && outbox.pending.some(x => x.id === r.outboxId));
+  if (c.status === "running" && !c.recipients.some(unfinished)) {
+    c.status = "done";
+    c.finishedAt = new Date().toISOString();
+    log.info("Campaign finished", { id: c.id, ...campaignSummary(c).counts });
+  }
+  saveCampaigns();
+}
+
+let campaignsRunning = false;
+async function runCampaigns() {
+  if (campaignsRunning) return;
+  campaignsRunning = true;
+  try {
+    const now = Date.now();
+    const due = campaignStore.campaigns.filter(c => {
+      if (c.status !== "running" || Date.parse(c.startAt) > now) return false;
+      const loc = getLocationById(c.location);
+      return isWithinShopHours(new Date(now), campaignHoursFor(loc), shopTimezoneFor(loc));
+    });
+    for (const c of due) {
+      await withRequestId(c.reqId, () => withLocation(getLocationById(c.location), () => runCampaignTick(c, now)));
+    }
+  } catch (e) {
+    log.error("Campaign worker error:", e);
+  } finally {
+    campaignsRunning = false;
+  }
+}
+
+setInterval(runCampaigns, CAMPAIGN_POLL_MS).unref();
+createGauge("sms_campaign_recipients_pending", "Campaign recipients not yet texted", () => ({
+  "": campaignStore.campaigns.filter(c => c.status === "running" || c.status === "paused")
+    .reduce((n, c) => n + c.recipients.filter(r => r.status === "pending").length, 0)
+}));
+
+// --- Campaign API (kiosk token) ---
+// POST   /api/campaigns/preview     { message, since?, locale? }  -> final text, audience size + sample, cost
+// POST   /api/campaigns             { name, message, since?, locale?, ratePerMinute?, startAt? }
+// GET    /api/campaigns             -> summaries
+// GET    /api/campaigns/:id         -> summary + per-recipient results
+// POST   /api/campaigns/:id/pause | /api/campaigns/:id/resume
+// DELETE /api/campaigns/:id         -> cancel (recipients not yet texted, or still retrying, become "cancelled")
+app.post("/api/campaigns/preview", requireKioskAuth, (req, res) => {
+  const parsed = parseCampaignRequest(req.body);
+  if (parsed.error) return res.status(400).json({ ok: false, error: parsed.error });
+  const { text, prepared, audience } = parsed;
+  const rate = Number(req.body.ratePerMinute) || CAMPAIGN_RATE_PER_MINUTE;
+  res.json({
+    ok: true,
+    text: prepared.text,
+    ...prepared.info,
+    transliterated: prepared.transliterated,
+    overBudget: prepared.overBudget,
+    audience: audience.length,
+    sample: audience.slice(0, CAMPAIGN_SAMPLE_SIZE),
+    estimatedCost: estimateSmsCost(prepared.info.segments * audience.length),
+    currency: SMS_COST_CURRENCY,
+    estimatedMinutes: Math.ceil(audience.length / rate),
+    blockedUntil: campaignBlockedUntil(),
+    ...(text !== prepared.text ? { originalText: text } : {})
+  });
+});
+
+app.post("/api/campaigns", requireKioskAuth, idempotent, (req, res) => {
+  const parsed = parseCampaignRequest(req.body);
+  if (parsed.error) return res.status(400).json({ ok: false, error: parsed.error });
+  const name = String(req.body.name || "").trim();
+  if (!name) return res.status(400).json({ ok: false, error: "name is required" });
+  if (parsed.prepared.overBudget) {
+    return res.status(400).json({
+      ok: false,
+      error: `Message is ${parsed.prepared.info.segments} segments per recipient, over the budget of ${segmentBudgetFor(CAMPAIGN_TEXT_TYPE)} (raise with SMS_SEGMENT_BUDGETS=${CAMPAIGN_TEXT_TYPE}:n)`
+    });
+  }
+  if (!parsed.audience.length) return res.status(400).json({ ok: false, error: "Nobody to send to" });
+
+  const ratePerMinute = req.body.ratePerMinute === undefined ? CAMPAIGN_RATE_PER_MINUTE : Number(req.body.ratePerMinute);
+  if (!(ratePerMinute > 0 && ratePerMinute <= CAMPAIGN_MAX_RATE_PER_MINUTE)) {
+    return res.status(400).json({ ok: false, error: `ratePerMinute must be between 1 and ${CAMPAIGN_MAX_RATE_PER_MINUTE}` });
+  }
+  const startAt = req.body.startAt ? new Date(req.body.startAt) : new Date();
+  if (isNaN(startAt.getTime())) return res.status(400).json({ ok: false, error: "startAt must be an ISO date/time" });
 
-    // Basic reporting
-    const okCount = results.filter(r => r.status === "fulfilled").length;
-    const fail = results
-      .map((r, i) => (r.status === "rejected" ? { i, err: String(r.reason) } : null))
-      .filter(Boolean);
+  const campaign = {
+    id: randomUUID(),
+    location: currentLocation().id,
+    reqId: currentRequestId(),
+    name,
+    message: parsed.message,
+    locale: parsed.locale,
+    text: parsed.text,
+    since: parsed.since?.toISOString() || null,
+    ratePerMinute,
+    status: "running",
+    createdAt: new Date().toISOString(),
+    startAt: startAt.toISOString(),
+    nextSendAt: null,
+    finishedAt: null,
+    recipients: parsed.audience.map(a => ({ phone: a.phone, status: "pending" }))
+  };
+  campaignStore.campaigns.push(campaign);
+  saveCampaigns();
+  log.info("Campaign created", { id: campaign.id, name, recipients: campaign.recipients.length, ratePerMinute });
+  res.status(201).json({ ok: true, campaign: campaignSummary(campaign) });
+});
+
+app.get("/api/campaigns", requireKioskAuth, (_req, res) => {
+  const campaigns = campaignStore.campaigns.filter(inCurrentLocation).map(campaignSummary).reverse();
+  res.json({ ok: true, count: campaigns.length, campaigns });
+});
+
+app.get("/api/campaigns/:id", requireKioskAuth, (req, res) => {
+  const c = getCampaign(req.params.id);
+  if (!c) return res.status(404).json({ ok: false, error: "Unknown campaign" });
+  const outboxState = id => (outbox.pending.some(x => x.id === id) ? "retrying" : outbox.dead.some(x => x.id === id) ? "dead" : "done");
+  const recipients = c.recipients.map(r => ({
+    ...r,
+    deliveryStatus: (r.messageId && deliveries[r.messageId]?.status) || null,
+    ...(r.outboxId ? { outbox: outboxState(r.outboxId) } : {})
+  }));
+  res.json({ ok: true, campaign: campaignSummary(c), recipients });
+});
+
+function setCampaignStatus(req, res, from, to) {
+  const c = getCampaign(req.params.id);
+  if (!c) return res.status(404).json({ ok: false, error: "Unknown campaign" });
+  if (!from.includes(c.status)) return res.status(409).json({ ok: false, error: `Campaign is ${c.status}` });
+  c.status = to;
+  if (to === "cancelled") {
+    // retries still in the outbox are dropped along with the texts never tried
+    const dropped = new Set(outbox.pending.filter(x => x.campaignId === c.id).map(x => x.id));
+    if (dropped.size) {
+      outbox.pending = outbox.pending.filter(x => !dropped.has(x.id));
+      saveOutbox();
+    }
+    for (const r of c.recipients) {
+      if (r.status === "pending" || (r.status === "queued" && dropped.has(r.outboxId))) r.status = "cancelled";
+    }
+    c.finishedAt = new Date().toISOString();
+  }
+  saveCampaigns();
+  log.info("Campaign status", { id: c.id, status: to });
+  res.json({ ok: true, campaign: campaignSummary(c) });
+}
+
+app.post("/api/campaigns/:id/pause", requireKioskAuth, idempotent, (req, res) => setCampaignStatus(req, res, ["running"], "paused"));
+app.post("/api/campaigns/:id/resume", requireKioskAuth, idempotent, (req, res) => setCampaignStatus(req, res, ["paused"], "running"));
+app.delete("/api/campaigns/:id", requireKioskAuth, idempotent, (req, res) => setCampaignStatus(req, res, ["running", "paused"], "cancelled"));
+
+// ======= ADMIN DASHBOARD (/admin; server-rendered pages for shop staff) =======
+// Login is HTTP Basic: user = location id (blank for the first location), password = that location's
+// adminPassword (ADMIN_PASSWORD for the first one). With no password configured anywhere /admin is off.
+// One page: roster with status toggles (same kiosk push as /_flip), a one-off send form (same as
+// /api/send-custom), texts that couldn't be forwarded to the shop, recent messages with delivery status,
+// and the opt-out list. Forms POST back and redirect to /admin with a notice, so a refresh never
+// re-submits. After ADMIN_LOGIN_MAX_FAILURES wrong passwords an IP is locked out for
+// ADMIN_LOGIN_LOCKOUT_MS, right password or not.
+const ADMIN_MESSAGE_LIMIT = Number(process.env.ADMIN_MESSAGE_LIMIT || 50);
+const ADMIN_CSRF_KEY = randomUUID(); // per boot: after a restart, reload the page before submitting
+const ADMIN_LOGIN_MAX_FAILURES = Number(process.env.ADMIN_LOGIN_MAX_FAILURES || 5);
+const ADMIN_LOGIN_LOCKOUT_MS = Number(process.env.ADMIN_LOGIN_LOCKOUT_MS || 15 * 60 * 1000);
+
+const adminLoginFailures = new Map(); // ip -> { count, firstAt }
+
+// ms until this IP may try again (0 = not locked out)
+function adminLockedOutFor(ip) {
+  const f = adminLoginFailures.get(ip);
+  if (!f) return 0;
+  const left = f.firstAt + ADMIN_LOGIN_LOCKOUT_MS - Date.now();
+  if (left <= 0) {
+    adminLoginFailures.delete(ip);
+    return 0;
+  }
+  return f.count >= ADMIN_LOGIN_MAX_FAILURES ? left : 0;
+}
+
+function recordAdminLoginFailure(ip) {
+  if (adminLoginFailures.size > 1000) for (const key of [...adminLoginFailures.keys()]) adminLockedOutFor(key); // drops expired
+  const f = adminLoginFailures.get(ip) || { count: 0, firstAt: Date.now() };
+  f.count++;
+  adminLoginFailures.set(ip, f);
+  if (f.count === ADMIN_LOGIN_MAX_FAILURES) log.warn("Admin login locked out", { ip, minutes: Math.round(ADMIN_LOGIN_LOCKOUT_MS / 60000) });
+}
+
+function requireAdminAuth(req, res, next) {
+  if (!LOCATIONS.some(l => l.adminPassword)) return res.status(404).send("Admin dashboard is off (set ADMIN_PASSWORD)");
+  const lockedFor = adminLockedOutFor(req.ip);
+  if (lockedFor) {
+    res.setHeader("Retry-After", String(Math.ceil(lockedFor / 1000)));
+    return res.status(429).send("Too many failed logins. Try again later.");
+  }
+  const m = /^Basic\s+(\S+)$/i.exec(String(req.headers["authorization"] || ""));
+  const [user, ...rest] = m ? Buffer.from(m[1], "base64").toString("utf8").split(":") : [];
+  const loc = user ? LOCATIONS.find(l => l.id === user.trim().toLowerCase()) : PRIMARY_LOCATION;
+  if (!m || !loc?.adminPassword || !safeEqual(rest.join(":"), loc.adminPassword)) {
+    if (m) recordAdminLoginFailure(req.ip); // no header is just the browser asking for the login prompt
+    res.setHeader("WWW-Authenticate", 'Basic realm="Elite Kutz admin", charset="UTF-8"');
+    return res.status(401).send("Login required");
+  }
+  adminLoginFailures.delete(req.ip);
+  req.location = loc;
+  withLocation(loc, next);
+}
+
+// Basic auth rides along on cross-site form posts too, so every form carries this token
+function adminCsrfToken(loc) {
+  return createHmac("sha256", ADMIN_CSRF_KEY).update(loc.id).digest("hex").slice(0, 32);
+}
+
+function checkAdminCsrf(req, res, next) {
+  if (!safeEqual(String(req.body?.csrf || ""), adminCsrfToken(req.location))) {
+    return res.status(403).send("This form has expired. Go back, reload the page and try again.");
+  }
+  next();
+}
+
+function escapeHtml(v) {
+  return String(v ?? "").replace(/[&<>"']/g, ch => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[ch]);
+}
+
+function formatShopDateTime(iso) {
+  if (!iso) return "";
+  return new Date(iso).toLocaleString("en-US", {
+    month: "short", day: "numeric", hour: "numeric", minute: "2-digit", timeZone: shopTimezoneFor()
+  });
+}
+
+// Forms redirect with ?msg=<code> and, at most, a barber id / status / phone; the page shows only these
+// fixed texts, with the barber's name looked up here, so a crafted link can't put words on the staff page
+const ADMIN_MESSAGES = {
+  status_set:      { kind: "notice", text: p => `${p.barber} set to ${p.status}.` },
+  status_queued:   { kind: "notice", text: p => `The kiosk didn't answer; ${p.barber} will be set to ${p.status} once it does.` },
+  sent:            { kind: "notice", text: p => `Sent to ${p.phone}.` },
+  unknown_barber:  { kind: "error", text: () => "Unknown barber" },
+  bad_status:      { kind: "error", text: () => "Status must be available or unavailable" },
+  kiosk_refused:   { kind: "error", text: p => `Kiosk refused the change for ${p.barber}.` },
+  missing_fields:  { kind: "error", text: () => "Missing to/message" },
+  opted_out:       { kind: "error", text: p => `${p.phone} has opted out; nothing was sent.` },
+  send_failed:     { kind: "error", text: () => "Send failed. The server log has the details." }
+};
+
+function adminRedirect(res, msg, { barber = "", status = "", phone = "" } = {}) {
+  const q = new URLSearchParams({ msg });
+  if (barber) q.set("barber", barber);
+  if (status) q.set("status", status);
+  if (phone) q.set("phone", phone);
+  res.redirect(303, "/admin?" + q);
+}
+
+// -> { kind, text } for the banner, or null
+function adminMessage(query) {
+  const code = String(query.msg || "");
+  if (!Object.hasOwn(ADMIN_MESSAGES, code)) return null;
+  const status = String(query.status || "").toUpperCase();
+  const phone = normalizeUS(String(query.phone || ""));
+  const { kind, text } = ADMIN_MESSAGES[code];
+  return {
+    kind,
+    text: text({
+      barber: getBarberById(String(query.barber || ""))?.name || "The barber",
+      status: /^(AVAILABLE|UNAVAILABLE)$/.test(status) ? status : "the new status",
+      phone: /^\+\d{11,15}$/.test(phone) ? phone : "That number"
+    })
+  };
+}
+
+function renderAdminRoster(csrf) {
+  const pendingNames = new Set(
+    kioskPushes.pending.filter(inCurrentLocation).map(x => String(x.command.name).toLowerCase())
+  );
+  const rows = listBarbers().map(b => {
+    const status = normalizeBarberStatus(b.status) || "red";
+    const next = status === "green" ? "unavailable" : "available";
+    const notes = [
+      b.breakUntil ? `on break until ${formatShopTime(new Date(b.breakUntil))}` : "",
+      pendingNames.has(b.name.toLowerCase()) || pendingNames.has(b.id) ? "kiosk update pending" : ""
+    ].filter(Boolean).join("; ");
+    return `<tr>
+      <td>${escapeHtml(b.name)}</td>
+      <td><span class="dot ${status}"></span>${escapeHtml(BARBER_STATUS_WORDS[status])}</td>
+      <td class="muted">${escapeHtml(notes)}</td>
+      <td><form method="post" action="/admin/barbers/${encodeURIComponent(b.id)}/status">
+        <input type="hidden" name="csrf" value="${csrf}"><input type="hidden" name="status" value="${next}">
+        <button>Set ${next.toUpperCase()}</button>
+      </form></td>
+    </tr>`;
+  });
+  return `<table><tr><th>Barber</th><th>Status</th><th></th><th></th></tr>${rows.join("")}</table>`;
+}
+
+function renderAdminMessages() {
+  const rows = filterMessageHistory({}).rows.slice(0, ADMIN_MESSAGE_LIMIT).map(m => {
+    const outbound = m.direction === "outbound";
+    const status = outbound
+      ? (m.deliveryStatus || m.result || "") + (m.error ? `: ${m.error}` : "")
+      : (m.matched || "");
+    return `<tr>
+      <td class="nowrap">${escapeHtml(formatShopDateTime(m.at))}</td>
+      <td>${outbound ? "&rarr; out" : "&larr; in"}</td>
+      <td class="nowrap">${escapeHtml(m.phone)}</td>
+      <td>${escapeHtml(m.templateType || m.eventType || "")}</td>
+      <td>${escapeHtml(m.text)}</td>
+      <td>${escapeHtml(status)}</td>
+    </tr>`;
+  });
+  if (!rows.length) return `<p class="muted">No messages yet.</p>`;
+  return `<table><tr><th>When</th><th></th><th>Phone</th><th>Type</th><th>Text</th><th>Status</th></tr>${rows.join("")}</table>`;
+}
+
+// Free texts that only got the auto-reply because there's no shop number to forward them to
+function renderAdminUnhandled() {
+  const rows = messageHistory
+    .filter(m => m.direction === "inbound" && m.matched === "UNHANDLED" && inCurrentLocation(m))
+    .slice(-ADMIN_MESSAGE_LIMIT)
+    .reverse()
+    .map(m => `<tr>
+      <td class="nowrap">${escapeHtml(formatShopDateTime(m.at))}</td>
+      <td class="nowrap">${escapeHtml(m.phone)}</td>
+      <td>${escapeHtml(m.text)}</td>
+    </tr>`);
+  if (!rows.length) return "";
+  return `<h2>Not forwarded</h2>
+<p class="muted">No shop forward number is set (SHOP_FORWARD_NUMBER), so these only got the automatic reply.</p>
+<table><tr><th>When</th><th>Phone</th><th>Text</th></tr>${rows.join("")}</table>`;
+}
+
+function renderAdminOptOuts() {
+  const rows = listOptOuts().map(o => `<tr>
+      <td class="nowrap">${escapeHtml(o.phone)}</td>
+      <td>${escapeHtml(o.keyword)}</td>
+      <td>${escapeHtml(o.source)}</td>
+      <td class="nowrap">${escapeHtml(formatShopDateTime(o.optedOutAt))}</td>
+    </tr>`);
+  if (!rows.length) return `<p class="muted">Nobody has opted out.</p>`;
+  return `<table><tr><th>Phone</th><th>Keyword</th><th>Source</th><th>Since</th></tr>${rows.join("")}</table>`;
+}
+
+function renderAdminPage({ message = null } = {}) {
+  const loc = currentLocation();
+  const csrf = adminCsrfToken(loc);
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(loc.name)} admin</title>
+<style>
+  body { font: 14px/1.4 system-ui, sans-serif; margin: 1.5em; color: #222; }
+  h1 { font-size: 1.4em; } h2 { font-size: 1.1em; margin-top: 2em; }
+  table { border-collapse: collapse; width: 100%; } th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #ddd; vertical-align: top; }
+  .muted { color: #777; } .nowrap { white-space: nowrap; }
+  .dot { display: inline-block; width: 10px; height: 10px; border-radius: 50%; margin-right: 6px; }
+  .green { background: #2a2; } .orange { background: #e90; } .red { background: #c22; }
+  .notice { background: #e8f5e9; padding: 8px; } .error { background: #fdecea; padding: 8px; }
+  textarea { width: 100%; max-width: 40em; }
+</style></head><body>
+<h1>${escapeHtml(loc.name)} <a class="muted" href="/admin">refresh</a></h1>
+${message ? `<p class="${message.kind}">${escapeHtml(message.text)}</p>` : ""}
+<h2>Roster</h2>
+${renderAdminRoster(csrf)}
+<h2>Send a text</h2>
+<form method="post" action="/admin/send">
+  <input type="hidden" name="csrf" value="${csrf}">
+  <p><input name="to" placeholder="Phone" required></p>
+  <p><textarea name="message" rows="3" placeholder="Message" required></textarea></p>
+  <button>Send</button>
+</form>
+${renderAdminUnhandled()}
+<h2>Latest messages</h2>
+${renderAdminMessages()}
+<h2>Opted out</h2>
+${renderAdminOptOuts()}
+</body></html>`;
+}
+
+const adminForm = express.urlencoded({ extended: false });
+
+app.get("/admin", requireAdminAuth, (req, res) => {
+  res.setHeader("Cache-Control", "no-store");
+  res.send(renderAdminPage({ message: adminMessage(req.query) }));
+});
+
+app.post("/admin/barbers/:id/status", requireAdminAuth, adminForm, checkAdminCsrf, async (req, res) => {
+  const b = getBarberById(req.params.id);
+  const status = String(req.body.status || "").toLowerCase();
+  if (!b) return adminRedirect(res, "unknown_barber");
+  if (!/^(available|unavailable)$/.test(status)) return adminRedirect(res, "bad_status");
+
+  const out = await notifyKioskBarberStatus(b.name, status, {}, {
+    confirm: { barberId: b.id, rosterStatus: status, source: "admin" }
+  });
+  if (out.ok) return adminRedirect(res, "status_set", { barber: b.id, status });
+  if (out.queued) return adminRedirect(res, "status_queued", { barber: b.id, status });
+  log.warn("/admin status change refused by kiosk", { barberId: b.id, status, err: out.error || out.status });
+  return adminRedirect(res, "kiosk_refused", { barber: b.id });
+});
 
-    return res.json({ ok: true, planned: planned.length, sent: okCount, failed: fail });
+app.post("/admin/send", requireAdminAuth, adminForm, checkAdminCsrf, async (req, res) => {
+  const { to, message } = req.body;
+  if (!to || !String(message || "").trim()) return adminRedirect(res, "missing_fields");
+  try {
+    const result = await sendSms(buildCustomMessage(to, message));
+    if (result?.suppressed) return adminRedirect(res, "opted_out", { phone: result.to });
+    return adminRedirect(res, "sent", { phone: normalizeUS(to) });
   } catch (e) {
-    console.error("ERROR /events:", e);
-    return res.status(500).json({ ok: false, error: e.message });
+    log.error("ERROR /admin/send:", e);
+    return adminRedirect(res, "send_failed");
   }
 });
 
-app.listen(PORT, () => console.log(`Webhook listening on :${PORT}`));
+// Only bind the port when run directly (node server.js). Importing this file — e.g. from a test
+// with SMS_TRANSPORT=memory — gets the app without a listener. Real paths on both sides, so a
+// symlinked deploy (node /srv/app/current/server.js) still counts as "run directly".
+function isEntryScript() {
+  if (!process.argv[1]) return false;
+  try {
+    return fs.realpathSync(process.argv[1]) === fs.realpathSync(fileURLToPath(import.meta.url));
+  } catch {
+    return false;
+  }
+}
+
+if (isEntryScript()) {
+  app.listen(PORT, () => log.info("Webhook listening", { port: Number(PORT) }));
+}
+
+export { app, planMessages, smsTransport };
@@ -0,0 +1,74 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// Campaigns may only go out 10:00-11:00 UTC three days from now: quiet hours for this whole run
+const DAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const opening = new Date();
+opening.setUTCDate(opening.getUTCDate() + 3);
+opening.setUTCHours(10, 0, 0, 0);
+
+// server.js reads its env at import time (and dotenv never overrides what's already set)
+Object.assign(process.env, {
+  SMS_TRANSPORT: "memory",
+  DATA_DIR: fs.mkdtempSync(path.join(os.tmpdir(), "ek-campaign-hours-")),
+  KIOSK_API_URL: "http://127.0.0.1:9/kiosk-api.php",
+  KIOSK_TOKEN: "test-token",
+  SHOP_TIMEZONE: "UTC",
+  CAMPAIGN_HOURS: `${DAYS[opening.getUTCDay()]} 10:00-11:00`,
+  CAMPAIGN_POLL_MS: "50",
+  LOG_LEVEL: "error"
+});
+const { app, smsTransport } = await import("../server.js");
+
+const CLIENT = "+12145551001";
+
+let server;
+let base;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once("listening", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+  await api("POST", "/api/send-custom", { to: CLIENT, message: "Thanks for coming in" });
+  smsTransport.sent.length = 0;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+async function api(method, url, body) {
+  const res = await fetch(`${base}${url}`, {
+    method,
+    headers: { Authorization: "Bearer test-token", ...(body ? { "Content-Type": "application/json" } : {}) },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: res.status, json: await res.json() };
+}
+
+const promo = { name: "Promo", message: "Half-price fades Tuesday", ratePerMinute: 600 };
+
+test("the preview says when quiet hours end", async () => {
+  const { json } = await api("POST", "/api/campaigns/preview", promo);
+  assert.equal(json.audience, 1);
+  assert.equal(json.blockedUntil, opening.toISOString());
+});
+
+test("a running campaign waits out quiet hours without sending", async () => {
+  const { json } = await api("POST", "/api/campaigns", promo);
+  assert.equal(json.campaign.status, "running");
+  assert.equal(json.campaign.blockedUntil, opening.toISOString());
+
+  await new Promise(resolve => setTimeout(resolve, 300));
+  const { json: later } = await api("GET", `/api/campaigns/${json.campaign.id}`);
+  assert.deepEqual(later.campaign.counts, { pending: 1 });
+  assert.equal(smsTransport.sent.length, 0);
+});
+
+test("a paused campaign isn't blocked by hours, it's just paused", async () => {
+  const { json } = await api("GET", "/api/campaigns");
+  const { json: paused } = await api("POST", `/api/campaigns/${json.campaigns[0].id}/pause`);
+  assert.equal(paused.campaign.status, "paused");
+  assert.equal(paused.campaign.blockedUntil, null);
+});
@@ -0,0 +1,112 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// server.js reads its env at import time (and dotenv never overrides what's already set)
+Object.assign(process.env, {
+  SMS_TRANSPORT: "memory",
+  DATA_DIR: fs.mkdtempSync(path.join(os.tmpdir(), "ek-campaign-")),
+  KIOSK_API_URL: "http://127.0.0.1:9/kiosk-api.php",
+  KIOSK_TOKEN: "test-token",
+  CAMPAIGN_HOURS: "Mon-Sun 00:00-24:00", // always open: quiet hours are in campaignHours.test.js
+  CAMPAIGN_POLL_MS: "50",
+  OUTBOX_POLL_MS: "50",
+  OUTBOX_BACKOFF_BASE_MS: "300",
+  LOG_LEVEL: "error"
+});
+const { app, smsTransport } = await import("../server.js");
+
+const CLIENTS = ["+12145550901", "+12145550902", "+12145550903"];
+
+let server;
+let base;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once("listening", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+  // the audience is everyone this shop has texted before
+  for (const to of CLIENTS) await api("POST", "/api/send-custom", { to, message: "Thanks for coming in" });
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  smsTransport.sent.length = 0;
+  smsTransport.behavior.next = [];
+});
+
+async function api(method, url, body) {
+  const res = await fetch(`${base}${url}`, {
+    method,
+    headers: { Authorization: "Bearer test-token", ...(body ? { "Content-Type": "application/json" } : {}) },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: res.status, json: await res.json() };
+}
+
+async function until(check, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) assert.fail("timed out waiting");
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const campaignTexts = () => smsTransport.sent.filter(m => /Reply STOP/i.test(m.text));
+const getCampaign = async id => (await api("GET", `/api/campaigns/${id}`)).json;
+
+function create(body = {}) {
+  return api("POST", "/api/campaigns", { name: "Promo", message: "Half-price fades Tuesday", ratePerMinute: 600, ...body });
+}
+
+test("a paused campaign sends nothing until it's resumed", async () => {
+  const { status, json } = await create({ startAt: new Date(Date.now() + 300).toISOString() });
+  assert.equal(status, 201);
+  assert.equal(json.campaign.recipients, CLIENTS.length);
+  const id = json.campaign.id;
+
+  assert.equal((await api("POST", `/api/campaigns/${id}/pause`)).json.campaign.status, "paused");
+  await sleep(500);
+  assert.equal(campaignTexts().length, 0);
+  assert.equal((await api("POST", `/api/campaigns/${id}/pause`)).status, 409);
+
+  await api("POST", `/api/campaigns/${id}/resume`);
+  const done = await until(async () => {
+    const c = await getCampaign(id);
+    return c.campaign.status === "done" && c;
+  });
+  assert.deepEqual(done.campaign.counts, { sent: CLIENTS.length });
+  assert.deepEqual(campaignTexts().map(m => m.to).sort(), CLIENTS);
+});
+
+test("pausing also holds a campaign text the outbox is retrying", async () => {
+  smsTransport.behavior.next = ["http"]; // the first text fails once
+  const { json } = await create();
+  const id = json.campaign.id;
+  await until(async () => (await getCampaign(id)).recipients.some(r => r.status === "queued"));
+  await api("POST", `/api/campaigns/${id}/pause`);
+
+  await sleep(600); // well past the retry's backoff
+  const { recipients } = await getCampaign(id);
+  const queued = recipients.find(r => r.status === "queued");
+  assert.equal(queued.outbox, "retrying");
+  assert.equal(smsTransport.sent.filter(m => m.to === queued.phone).length, 1);
+
+  await api("POST", `/api/campaigns/${id}/resume`);
+  await until(async () => (await getCampaign(id)).campaign.status === "done");
+  assert.equal(smsTransport.sent.filter(m => m.to === queued.phone && m.outcome === "sent").length, 1);
+});
+
+test("cancelling drops the recipients not yet texted", async () => {
+  const { json } = await create({ startAt: new Date(Date.now() + 60 * 1000).toISOString() });
+  const { json: cancelled } = await api("DELETE", `/api/campaigns/${json.campaign.id}`);
+  assert.equal(cancelled.campaign.status, "cancelled");
+  assert.deepEqual(cancelled.campaign.counts, { cancelled: CLIENTS.length });
+  assert.equal((await api("POST", `/api/campaigns/${json.campaign.id}/resume`)).status, 409);
+});
@@ -0,0 +1,90 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+
+// A stand-in kiosk API whose answers each test picks
+let kioskReply = () => ({ status: 200, body: { ok: false } });
+const kiosk = http.createServer((req, res) => {
+  const { status, body } = kioskReply(new URL(req.url, "http://kiosk"));
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+});
+await new Promise(resolve => kiosk.listen(0, "127.0.0.1", resolve));
+
+// server.js reads its env at import time (and dotenv never overrides what's already set)
+Object.assign(process.env, {
+  SMS_TRANSPORT: "memory",
+  DATA_DIR: fs.mkdtempSync(path.join(os.tmpdir(), "ek-client-")),
+  KIOSK_API_URL: `http://127.0.0.1:${kiosk.address().port}/kiosk-api.php`,
+  KIOSK_TOKEN: "test-token",
+  INBOUND_WEBHOOK_SECRET: "",
+  LOG_LEVEL: "error"
+});
+const { app, smsTransport } = await import("../server.js");
+
+let server;
+let base;
+let seq = 0;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once("listening", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await new Promise(resolve => kiosk.close(resolve));
+});
+
+beforeEach(() => {
+  smsTransport.sent.length = 0;
+});
+
+function inbound(from, text) {
+  return fetch(`${base}/webhooks/infobip/inbound-sms`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ results: [{ from, text, messageId: `cc-${++seq}` }] })
+  });
+}
+
+function replyTo(phone) {
+  return smsTransport.sent.filter(m => m.to === phone).map(m => m.text);
+}
+
+test("a kiosk error is 'try again', not 'you're not on the list'", async () => {
+  kioskReply = () => ({ status: 500, body: { ok: false, error: "db down" } });
+  await inbound("+12145550301", "WHERE");
+  assert.equal(replyTo("+12145550301").length, 1);
+  assert.match(replyTo("+12145550301")[0], /didn't go through/);
+});
+
+test("the kiosk not knowing the number is 'not on the list', in the client's language", async () => {
+  kioskReply = () => ({ status: 200, body: { ok: false } });
+  const res = await fetch(`${base}/events`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: "Bearer test-token" },
+    body: JSON.stringify({
+      type: "CLIENT_REMOVED_FROM_KIOSK",
+      payload: { clientName: "Ana", clientPhone: "2145550302", language: "es" }
+    })
+  });
+  assert.equal(res.status, 200);
+  smsTransport.sent.length = 0;
+
+  await inbound("+12145550302", "WHERE");
+  assert.match(replyTo("+12145550302")[0], /No te encontramos/);
+});
+
+test("a waiting client gets their position", async () => {
+  kioskReply = url => ({
+    status: 200,
+    body: { ok: true, client: { id: "c9", name: "Bo", phone: url.searchParams.get("phone"), position: 4, language: "en" } }
+  });
+  await inbound("+12145550303", "WHERE");
+  assert.match(replyTo("+12145550303")[0], /Bo, you're #4 in line/);
+});
@@ -0,0 +1,101 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// server.js reads its env at import time (and dotenv never overrides what's already set)
+Object.assign(process.env, {
+  SMS_TRANSPORT: "memory",
+  DATA_DIR: fs.mkdtempSync(path.join(os.tmpdir(), "ek-dlr-")),
+  KIOSK_API_URL: "http://127.0.0.1:9/kiosk-api.php",
+  KIOSK_TOKEN: "test-token",
+  INBOUND_WEBHOOK_SECRET: "hook-secret",
+  LOG_LEVEL: "error"
+});
+const { app, smsTransport } = await import("../server.js");
+
+const AUTH = { Authorization: "Bearer test-token" };
+
+let server;
+let base;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once("listening", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+async function get(url) {
+  return (await fetch(`${base}${url}`, { headers: AUTH })).json();
+}
+
+// Texts phone through /events and returns the messageId the transport handed back
+async function sendTo(phone) {
+  await fetch(`${base}/events`, {
+    method: "POST",
+    headers: { ...AUTH, "Content-Type": "application/json" },
+    body: JSON.stringify({ type: "CLIENT_REMOVED_FROM_KIOSK", payload: { clientName: "Sam", clientPhone: phone } })
+  });
+  return smsTransport.sent.filter(m => m.to === phone).at(-1).messageId;
+}
+
+function report(results, secret = "hook-secret") {
+  return fetch(`${base}/webhooks/infobip/delivery-reports`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "x-webhook-secret": secret },
+    body: JSON.stringify({ results })
+  });
+}
+
+test("a sent text is tracked as PENDING until its report arrives", async () => {
+  const phone = "+12145550501";
+  const messageId = await sendTo(phone);
+  let { deliveries } = await get(`/api/deliveries?phone=${encodeURIComponent(phone)}`);
+  assert.equal(deliveries[0].status, "PENDING");
+  assert.equal(deliveries[0].eventType, "CLIENT_REMOVED_FROM_KIOSK");
+
+  const res = await report([{
+    messageId,
+    to: phone.slice(1),
+    status: { groupName: "DELIVERED", name: "DELIVERED_TO_HANDSET" },
+    error: { id: 0, name: "NO_ERROR" },
+    doneAt: "2026-01-02T15:04:05.000Z"
+  }]);
+  assert.deepEqual(await res.json(), { ok: true, received: 1, matched: 1 });
+
+  ({ deliveries } = await get(`/api/deliveries?phone=${encodeURIComponent(phone)}`));
+  assert.equal(deliveries[0].status, "DELIVERED");
+  assert.equal(deliveries[0].statusName, "DELIVERED_TO_HANDSET");
+  assert.equal(deliveries[0].error, null);
+  assert.equal(deliveries[0].doneAt, "2026-01-02T15:04:05.000Z");
+
+  const { messages } = await get(`/api/messages?phone=${encodeURIComponent(phone)}`);
+  assert.equal(messages.find(m => m.messageId === messageId).deliveryStatus, "DELIVERED");
+});
+
+test("an undeliverable report keeps the provider's error", async () => {
+  const phone = "+12145550502";
+  const messageId = await sendTo(phone);
+  await report([{
+    messageId,
+    status: { groupName: "UNDELIVERABLE", name: "UNDELIVERABLE_NOT_DELIVERED" },
+    error: { id: 27, name: "EC_ABSENT_SUBSCRIBER", description: "Absent subscriber", permanent: false }
+  }]);
+
+  const { deliveries } = await get("/api/deliveries?status=undeliverable");
+  const d = deliveries.find(x => x.messageId === messageId);
+  assert.deepEqual(d.error, { name: "EC_ABSENT_SUBSCRIBER", description: "Absent subscriber", permanent: false });
+});
+
+test("a report for a message we never sent is kept but not counted as matched", async () => {
+  const res = await report([{ messageId: "not-ours", to: "12145550503", status: { groupName: "DELIVERED" } }]);
+  assert.deepEqual(await res.json(), { ok: true, received: 1, matched: 0 });
+});
+
+test("reports need the same webhook secret as inbound texts", async () => {
+  const res = await report([{ messageId: "x", status: { groupName: "DELIVERED" } }], "wrong");
+  assert.equal(res.status, 401);
+});
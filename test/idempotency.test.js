@@ -0,0 +1,89 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// server.js reads its env at import time (and dotenv never overrides what's already set)
+Object.assign(process.env, {
+  SMS_TRANSPORT: "memory",
+  DATA_DIR: fs.mkdtempSync(path.join(os.tmpdir(), "ek-idem-")),
+  KIOSK_API_URL: "http://127.0.0.1:9/kiosk-api.php",
+  KIOSK_TOKEN: "test-token",
+  LOG_LEVEL: "error"
+});
+const { app, smsTransport } = await import("../server.js");
+
+const CLIENT = "+12145550601";
+
+let server;
+let base;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once("listening", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  smsTransport.sent.length = 0;
+  Object.assign(smsTransport.behavior, { httpErrorTo: [], httpStatus: 500, next: [] });
+});
+
+function post(url, body, key) {
+  return fetch(`${base}${url}`, {
+    method: "POST",
+    headers: {
+      Authorization: "Bearer test-token",
+      "Content-Type": "application/json",
+      ...(key ? { "Idempotency-Key": key } : {})
+    },
+    body: JSON.stringify(body)
+  });
+}
+
+test("a repeated Idempotency-Key replays the first response without sending again", async () => {
+  const body = { to: CLIENT, message: "Your table is ready" };
+  const first = await post("/api/send-custom", body, "key-1");
+  const second = await post("/api/send-custom", body, "key-1");
+
+  assert.equal(second.status, first.status);
+  assert.equal(second.headers.get("idempotent-replayed"), "true");
+  assert.deepEqual(await second.json(), await first.json());
+  assert.equal(smsTransport.sent.length, 1);
+});
+
+test("an eventId in the body works as the key", async () => {
+  const event = { eventId: "evt-1", type: "CLIENT_REMOVED_FROM_KIOSK", payload: { clientName: "Sam", clientPhone: CLIENT } };
+  await post("/events", event);
+  const again = await post("/events", event);
+  assert.equal(again.headers.get("idempotent-replayed"), "true");
+  assert.equal(smsTransport.sent.length, 1);
+});
+
+test("reusing a key for a different request is a 422 and sends nothing", async () => {
+  await post("/api/send-custom", { to: CLIENT, message: "one" }, "key-2");
+  const res = await post("/api/send-custom", { to: CLIENT, message: "two" }, "key-2");
+  assert.equal(res.status, 422);
+  assert.match((await res.json()).error, /already used/);
+  assert.deepEqual(smsTransport.sent.map(m => m.text), ["one"]);
+});
+
+test("keys are per route, so the same key on another endpoint is a new request", async () => {
+  await post("/api/send-custom", { to: CLIENT, message: "hi" }, "key-3");
+  const res = await post("/api/send-removed", { to: CLIENT, clientName: "Sam" }, "key-3");
+  assert.equal(res.headers.get("idempotent-replayed"), null);
+});
+
+test("a 5xx isn't stored, so the kiosk's retry really runs", async () => {
+  const body = { to: CLIENT, message: "retry me" };
+  smsTransport.behavior.next = ["http"];
+  assert.equal((await post("/api/send-custom", body, "key-4")).status, 500);
+
+  const retry = await post("/api/send-custom", body, "key-4");
+  assert.equal(retry.status, 200);
+  assert.equal(retry.headers.get("idempotent-replayed"), null);
+  assert.deepEqual(smsTransport.sent.map(m => m.outcome), ["http_500", "sent"]);
+});
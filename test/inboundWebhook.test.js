@@ -0,0 +1,101 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// server.js reads its env at import time (and dotenv never overrides what's already set)
+Object.assign(process.env, {
+  SMS_TRANSPORT: "memory",
+  DATA_DIR: fs.mkdtempSync(path.join(os.tmpdir(), "ek-inbound-")),
+  KIOSK_API_URL: "http://127.0.0.1:9/kiosk-api.php", // nothing listens: the kiosk is "down"
+  KIOSK_TOKEN: "test-token",
+  INBOUND_WEBHOOK_SECRET: "hook-secret",
+  LOG_LEVEL: "error"
+});
+const { app, smsTransport } = await import("../server.js");
+
+const CLIENT = "+12145550101";
+const RED = "+12146296917"; // barber in the default roster
+
+let server;
+let base;
+let seq = 0;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once("listening", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  smsTransport.sent.length = 0;
+});
+
+function inbound(from, text, { messageId = `in-${++seq}`, secret = "hook-secret" } = {}) {
+  return fetch(`${base}/webhooks/infobip/inbound-sms`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "x-webhook-secret": secret },
+    body: JSON.stringify({ results: [{ from, text, messageId }] })
+  });
+}
+
+function sentTo(phone) {
+  return smsTransport.sent.filter(m => m.to === phone);
+}
+
+test("rejects a webhook without the shared secret", async () => {
+  const res = await inbound(CLIENT, "HELP", { secret: "wrong" });
+  assert.equal(res.status, 401);
+  assert.equal(smsTransport.sent.length, 0);
+});
+
+test("HELP gets the help text", async () => {
+  const res = await inbound(CLIENT, "help");
+  assert.equal(res.status, 200);
+  const [reply] = sentTo(CLIENT);
+  assert.match(reply.text, /For help/);
+});
+
+test("STOP opts out silently and later sends are suppressed; START opts back in", async () => {
+  await inbound(CLIENT, "STOP");
+  assert.equal(sentTo(CLIENT).length, 0);
+
+  const res = await fetch(`${base}/api/send-custom`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: "Bearer test-token" },
+    body: JSON.stringify({ to: CLIENT, message: "promo" })
+  });
+  assert.equal((await res.json()).result.suppressed, true);
+  assert.equal(sentTo(CLIENT).length, 0);
+
+  await inbound(CLIENT, "START");
+  assert.match(sentTo(CLIENT)[0].text, /opted in/);
+});
+
+test("a repeated messageId is acked but not handled twice", async () => {
+  await inbound(CLIENT, "HELP", { messageId: "dup-1" });
+  const res = await inbound(CLIENT, "HELP", { messageId: "dup-1" });
+  assert.equal(res.status, 200);
+  assert.equal(sentTo(CLIENT).length, 1);
+});
+
+test("a barber status change waits for the kiosk to confirm", async () => {
+  await inbound(RED, "AVAILABLE");
+  const [reply] = sentTo(RED);
+  assert.match(reply.text, /hasn't confirmed Red as AVAILABLE/);
+});
+
+test("the CSV export guards formula-like texts but leaves phone numbers alone", async () => {
+  await inbound(CLIENT, "=HYPERLINK(\"http://x\")");
+  const res = await fetch(`${base}/api/messages.csv?phone=${encodeURIComponent(CLIENT)}`, {
+    headers: { Authorization: "Bearer test-token" }
+  });
+  assert.equal(res.status, 200);
+  const csv = await res.text();
+  assert.match(csv, /"'=HYPERLINK\(""http:\/\/x""\)"/);
+  assert.match(csv, /,\+12145550101,/);
+  assert.doesNotMatch(csv, /'\+12145550101/);
+});
@@ -0,0 +1,98 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+
+// A stand-in Infobip; each test decides how it answers /sms/2/text/advanced
+let answer = () => ({ status: 200, json: { messages: [] } });
+const requests = [];
+const infobip = http.createServer((req, res) => {
+  let raw = "";
+  req.on("data", chunk => { raw += chunk; });
+  req.on("end", async () => {
+    const body = JSON.parse(raw);
+    requests.push(body);
+    const { status, json, delayMs = 0 } = await answer(body);
+    setTimeout(() => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(json));
+    }, delayMs);
+  });
+});
+await new Promise(resolve => infobip.listen(0, "127.0.0.1", resolve));
+
+// server.js reads its env at import time (and dotenv never overrides what's already set)
+Object.assign(process.env, {
+  SMS_TRANSPORT: "infobip",
+  INFOBIP_BASE_URL: `http://127.0.0.1:${infobip.address().port}`,
+  INFOBIP_API_KEY: "App test-api-key-123456",
+  INFOBIP_SENDER: "+12145550000",
+  INFOBIP_TIMEOUT_MS: "200",
+  DATA_DIR: fs.mkdtempSync(path.join(os.tmpdir(), "ek-infobip-")),
+  KIOSK_API_URL: "http://127.0.0.1:9/kiosk-api.php",
+  KIOSK_TOKEN: "test-token",
+  LOG_LEVEL: "error"
+});
+const { smsTransport } = await import("../server.js");
+
+after(() => new Promise(resolve => infobip.close(resolve)));
+
+const PENDING = { groupId: 1, groupName: "PENDING", name: "PENDING_ENROUTE" };
+const REJECTED = { groupId: 5, groupName: "REJECTED", name: "REJECTED_DESTINATION" };
+
+test("a batch response maps back to each item by the messageId we sent", async () => {
+  // Infobip answers out of order, rejects one destination and says nothing about another
+  answer = body => {
+    const [a, b] = body.messages.flatMap(m => m.destinations);
+    return {
+      status: 200,
+      json: {
+        messages: [
+          { to: b.to, messageId: b.messageId, status: REJECTED },
+          { to: a.to, messageId: a.messageId, status: PENDING }
+        ]
+      }
+    };
+  };
+  requests.length = 0;
+  const items = [
+    { to: "+12145550201", text: "Your turn is coming up" },
+    { to: "+12145550202", text: "Your turn is coming up" },
+    { to: "+12145550203", text: "Something else" }
+  ];
+  const results = await smsTransport.sendBatch(items);
+
+  // identical texts share one message with two destinations
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].messages.length, 2);
+  const sentId = Object.fromEntries(requests[0].messages.flatMap(m => m.destinations.map(d => [d.to, d.messageId])));
+
+  assert.equal(results.length, 3);
+  assert.equal(results[0].message.messageId, sentId["+12145550201"]);
+  assert.equal(results[0].message.status.groupName, "PENDING");
+  assert.equal(results[1].err.groupId, 5);
+  assert.equal(results[2].err.unknownOutcome, true);
+});
+
+test("a single send that times out is an unknown outcome, like a batch", async () => {
+  answer = () => ({ status: 200, json: { messages: [] }, delayMs: 500 });
+  await assert.rejects(smsTransport.send({ to: "+12145550204", text: "hi" }), err => {
+    assert.equal(err.unknownOutcome, true);
+    return true;
+  });
+  await assert.rejects(smsTransport.sendBatch([
+    { to: "+12145550205", text: "hi" },
+    { to: "+12145550206", text: "hi" }
+  ]), err => err.unknownOutcome === true);
+});
+
+test("a single send that Infobip answers with 5xx stays retryable", async () => {
+  answer = () => ({ status: 503, json: { requestError: { serviceException: { text: "busy" } } } });
+  await assert.rejects(smsTransport.send({ to: "+12145550207", text: "hi" }), err => {
+    assert.equal(err.httpStatus, 503);
+    assert.equal(err.unknownOutcome, undefined);
+    return true;
+  });
+});
@@ -0,0 +1,118 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+
+const RED = "+12146296917"; // barber in the default roster
+
+// A stand-in kiosk API: barber lookups always work, the rest is up to each test
+let pushReply = () => ({ status: 200, body: { ok: true } });
+let lookupDelayMs = 0;
+const hits = [];
+const kiosk = http.createServer((req, res) => {
+  const url = new URL(req.url, "http://kiosk");
+  const endpoint = url.searchParams.get("endpoint");
+  hits.push(endpoint);
+  req.resume();
+  const reply = ({ status, body }) => {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  };
+  if (endpoint === "barber-lookup-by-phone") {
+    return reply({ status: 200, body: { ok: true, barber: { id: "red", name: "Red", phone: RED, active: true } } });
+  }
+  if (endpoint === "client-lookup-by-phone") {
+    return setTimeout(() => reply(pushReply()), lookupDelayMs);
+  }
+  return reply(pushReply());
+});
+await new Promise(resolve => kiosk.listen(0, "127.0.0.1", resolve));
+
+// server.js reads its env at import time (and dotenv never overrides what's already set)
+Object.assign(process.env, {
+  SMS_TRANSPORT: "memory",
+  DATA_DIR: fs.mkdtempSync(path.join(os.tmpdir(), "ek-kiosk-")),
+  KIOSK_API_URL: `http://127.0.0.1:${kiosk.address().port}/kiosk-api.php`,
+  KIOSK_TOKEN: "test-token",
+  KIOSK_BREAKER_THRESHOLD: "1",
+  KIOSK_BREAKER_COOLDOWN_MS: "100",
+  INBOUND_WEBHOOK_SECRET: "",
+  METRICS_TOKEN: "",
+  LOG_LEVEL: "error"
+});
+const { app, smsTransport } = await import("../server.js");
+
+let server;
+let base;
+let seq = 0;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once("listening", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await new Promise(resolve => kiosk.close(resolve));
+});
+
+beforeEach(() => {
+  smsTransport.sent.length = 0;
+  hits.length = 0;
+  lookupDelayMs = 0;
+});
+
+function inbound(from, text) {
+  return fetch(`${base}/webhooks/infobip/inbound-sms`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ results: [{ from, text, messageId: `kp-${++seq}` }] })
+  });
+}
+
+async function pendingPushes() {
+  const text = await (await fetch(`${base}/metrics`)).text();
+  return Number(/^kiosk_status_push_pending(?:\{[^}]*\})? (\d+)/m.exec(text)[1]);
+}
+
+const repliesTo = phone => smsTransport.sent.filter(m => m.to === phone).map(m => m.text);
+
+test("a 200 that says ok:false is a refusal: no confirmation, no retry", async () => {
+  pushReply = () => ({ status: 200, body: { ok: false, error: "barber is mid-service" } });
+  await inbound(RED, "AVAILABLE");
+  assert.deepEqual(repliesTo(RED).length, 1);
+  assert.match(repliesTo(RED)[0], /didn't accept AVAILABLE/);
+  assert.equal(await pendingPushes(), 0);
+});
+
+test("a 4xx on the first push is a refusal, not 'we'll keep trying'", async () => {
+  pushReply = () => ({ status: 422, body: { ok: false, error: "unknown barber" } });
+  await inbound(RED, "UNAVAILABLE");
+  assert.match(repliesTo(RED)[0], /didn't accept UNAVAILABLE/);
+  assert.equal(await pendingPushes(), 0);
+});
+
+test("a push the kiosk accepts confirms the change", async () => {
+  pushReply = () => ({ status: 200, body: { ok: true } });
+  await inbound(RED, "AVAILABLE");
+  assert.match(repliesTo(RED)[0], /Red set to AVAILABLE/);
+});
+
+test("after the cooldown only one probe reaches a tripped kiosk", async () => {
+  pushReply = () => ({ status: 500, body: { ok: false } });
+  await inbound("+12145550501", "WHERE"); // trips the breaker (threshold 1)
+  await new Promise(resolve => setTimeout(resolve, 150));
+
+  hits.length = 0;
+  lookupDelayMs = 100;
+  pushReply = () => ({ status: 200, body: { ok: true, client: { id: "c1", name: "Bo", position: 2 } } });
+  await Promise.all([inbound("+12145550502", "WHERE"), inbound("+12145550503", "WHERE")]);
+  assert.equal(hits.filter(h => h === "client-lookup-by-phone").length, 1);
+
+  // the probe worked, so the breaker is closed again
+  await inbound("+12145550504", "WHERE");
+  assert.match(repliesTo("+12145550504")[0], /#2 in line/);
+});
@@ -0,0 +1,90 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+
+// A stand-in Infobip that refuses every send with a verbose error body
+const infobip = http.createServer((req, res) => {
+  req.resume();
+  res.writeHead(401, { "Content-Type": "application/json" });
+  res.end(JSON.stringify({
+    requestError: { serviceException: { messageId: "UNAUTHORIZED", text: "Invalid login details", validationErrors: "LEAKED-DETAIL" } }
+  }));
+});
+await new Promise(resolve => infobip.listen(0, "127.0.0.1", resolve));
+
+// server.js reads its env at import time (and dotenv never overrides what's already set)
+Object.assign(process.env, {
+  SMS_TRANSPORT: "infobip",
+  INFOBIP_BASE_URL: `http://127.0.0.1:${infobip.address().port}`,
+  INFOBIP_API_KEY: "App test-api-key-123456",
+  INFOBIP_SENDER: "+12145550000",
+  DATA_DIR: fs.mkdtempSync(path.join(os.tmpdir(), "ek-logging-")),
+  KIOSK_API_URL: "http://127.0.0.1:9/kiosk-api.php",
+  KIOSK_TOKEN: "test-token",
+  LOG_LEVEL: "info"
+});
+const { app } = await import("../server.js");
+
+let server;
+let base;
+let logged = "";
+const writes = { out: process.stdout.write, err: process.stderr.write };
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once("listening", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await new Promise(resolve => infobip.close(resolve));
+});
+
+// Everything the server logs while fn runs (its JSON lines; the test runner's own output passes through)
+async function captureLogs(fn) {
+  logged = "";
+  const tap = original => function (chunk, ...rest) {
+    if (String(chunk).startsWith("{\"time\"")) {
+      logged += chunk;
+      return true;
+    }
+    return original.call(this, chunk, ...rest);
+  };
+  process.stdout.write = tap(writes.out);
+  process.stderr.write = tap(writes.err);
+  try {
+    return await fn();
+  } finally {
+    process.stdout.write = writes.out;
+    process.stderr.write = writes.err;
+  }
+}
+
+function sendCustom(to, message) {
+  return fetch(`${base}/api/send-custom`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: "Bearer test-token" },
+    body: JSON.stringify({ to, message })
+  });
+}
+
+test("a provider error body reaches neither the logs nor the API caller", async () => {
+  const res = await captureLogs(() => sendCustom("+12145550401", "hello"));
+  assert.equal(res.status, 500);
+  assert.equal((await res.json()).error, "SMS provider error (HTTP 401)");
+  assert.match(logged, /UNAUTHORIZED: Invalid login details/);
+  assert.doesNotMatch(logged, /LEAKED-DETAIL/);
+});
+
+test("logs keep only the last 4 digits of phones and never the message text or credentials", async () => {
+  await captureLogs(() => sendCustom("+12145550402", "secret appointment details"));
+  assert.ok(logged.length > 0);
+  assert.doesNotMatch(logged, /2145550402/);
+  assert.match(logged, /\*\*\*0402/);
+  assert.doesNotMatch(logged, /secret appointment details/);
+  assert.doesNotMatch(logged, /test-api-key-123456|test-token/);
+});
@@ -0,0 +1,104 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// server.js reads its env at import time (and dotenv never overrides what's already set)
+Object.assign(process.env, {
+  SMS_TRANSPORT: "memory",
+  DATA_DIR: fs.mkdtempSync(path.join(os.tmpdir(), "ek-outbox-")),
+  KIOSK_API_URL: "http://127.0.0.1:9/kiosk-api.php",
+  KIOSK_TOKEN: "test-token",
+  OUTBOX_POLL_MS: "50",
+  OUTBOX_BACKOFF_BASE_MS: "20",
+  OUTBOX_MAX_ATTEMPTS: "3",
+  LOG_LEVEL: "error"
+});
+const { app, smsTransport } = await import("../server.js");
+
+const CLIENT = "+12145550401";
+const AUTH = { Authorization: "Bearer test-token" };
+
+let server;
+let base;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once("listening", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  smsTransport.sent.length = 0;
+  Object.assign(smsTransport.behavior, { rejectTo: [], httpErrorTo: [], httpStatus: 500, next: [] });
+});
+
+async function api(method, url, body) {
+  const res = await fetch(`${base}${url}`, {
+    method,
+    headers: { ...AUTH, ...(body ? { "Content-Type": "application/json" } : {}) },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return res.json();
+}
+
+// One client text through /events, which queues it in the outbox before the first attempt
+const removed = () => api("POST", "/events", {
+  type: "CLIENT_REMOVED_FROM_KIOSK",
+  payload: { clientName: "Sam", clientPhone: CLIENT }
+});
+
+async function until(check, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) assert.fail("timed out waiting");
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+}
+
+const outcomes = () => smsTransport.sent.filter(m => m.to === CLIENT).map(m => m.outcome);
+
+test("a transient failure stays queued and the worker sends it on retry", async () => {
+  smsTransport.behavior.next = ["http"];
+  const report = await removed();
+  assert.equal(report.sent, 0);
+  assert.equal(report.queued.length, 1);
+  assert.match(report.queued[0].err, /Mock HTTP 500/);
+
+  await until(async () => (await api("GET", "/api/outbox")).pendingCount === 0);
+  assert.deepEqual(outcomes(), ["http_500", "sent"]);
+  assert.equal((await api("GET", "/api/outbox")).deadCount, 0);
+});
+
+test("a 4xx is dead-lettered straight away, and a redrive sends it", async () => {
+  Object.assign(smsTransport.behavior, { httpErrorTo: [CLIENT], httpStatus: 400 });
+  const report = await removed();
+  assert.equal(report.failed.length, 1);
+  assert.equal(report.queued.length, 0);
+
+  const { dead } = await api("GET", "/api/outbox");
+  const item = dead.find(x => x.id === report.failed[0].id);
+  assert.equal(item.attempts, 1);
+  assert.match(item.lastError, /Mock HTTP 400/);
+
+  smsTransport.behavior.httpErrorTo = [];
+  assert.equal((await api("POST", `/api/outbox/dead/${item.id}/redrive`)).redriven, 1);
+  await until(async () => (await api("GET", "/api/outbox")).deadCount === 0 && outcomes().includes("sent"));
+  assert.deepEqual(outcomes(), ["http_400", "sent"]);
+});
+
+test("a text that keeps failing is dead-lettered after OUTBOX_MAX_ATTEMPTS", async () => {
+  smsTransport.behavior.httpErrorTo = [CLIENT];
+  const report = await removed();
+  assert.equal(report.queued.length, 1);
+
+  const dead = await until(async () => (await api("GET", "/api/outbox")).dead.find(x => x.id === report.queued[0].id));
+  assert.equal(dead.attempts, 3);
+  assert.deepEqual(outcomes(), ["http_500", "http_500", "http_500"]);
+  await api("DELETE", `/api/outbox/dead/${dead.id}`);
+});
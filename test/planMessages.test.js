@@ -0,0 +1,85 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// server.js reads its env at import time (and dotenv never overrides what's already set)
+Object.assign(process.env, {
+  SMS_TRANSPORT: "memory",
+  DATA_DIR: fs.mkdtempSync(path.join(os.tmpdir(), "ek-plan-")),
+  KIOSK_API_URL: "http://127.0.0.1:9/kiosk-api.php",
+  KIOSK_TOKEN: "test-token",
+  LOG_LEVEL: "error"
+});
+const { planMessages } = await import("../server.js");
+
+const client = { clientName: "Sam", clientPhone: "2145550101" };
+const LYRIC = "+16147695230"; // green in the default roster
+const MIKE = "+12149919940";  // red
+
+test("CLIENT_ASSIGNED texts the client and each assigned barber once", () => {
+  const out = planMessages("CLIENT_ASSIGNED", { ...client, assignments: [{ barberId: "lyric" }] });
+  assert.deepEqual(out.map(m => m.type), ["CA_CLIENT_SINGLE", "CA_BARBER_COMPACT"]);
+  assert.equal(out[0].to, "2145550101");
+  assert.match(out[0].text, /assigned to Lyric/);
+  assert.equal(out[1].to, LYRIC);
+});
+
+test("party members on one barber get a single barber text with a members note", () => {
+  const out = planMessages("SPECIFIC_BARBER_REQUEST", {
+    ...client,
+    declinedPhotos: true,
+    assignments: [{ barberId: "mike", memberIndex: 2 }, { barberId: "mike", memberIndex: 1 }]
+  });
+  const barberTexts = out.filter(m => m.type === "SBR_BARBER_COMPACT");
+  assert.equal(barberTexts.length, 1);
+  assert.equal(barberTexts[0].to, MIKE);
+  assert.match(barberTexts[0].text, /\(members: 1, 2\).*DECLINED/);
+});
+
+test("first-available waitlist pings busy and unavailable barbers, not available ones", () => {
+  const out = planMessages("CLIENT_PLACED_ON_WAITLIST", { ...client, indexLabel: 3 });
+  assert.equal(out[0].type, "CPW_CLIENT_SINGLE");
+  assert.match(out[0].text, /#3 in line/);
+  const barberPhones = out.slice(1).map(m => m.to);
+  assert.ok(barberPhones.includes(MIKE));
+  assert.ok(!barberPhones.includes(LYRIC));
+});
+
+test("an assignment to an unknown barber is dropped; the rest still go out", () => {
+  const out = planMessages("CLIENT_ASSIGNED", {
+    ...client,
+    assignments: [{ barberId: "lyric", memberIndex: 1 }, { barberId: "nobody", memberIndex: 2 }]
+  });
+  assert.deepEqual(out.map(m => m.to), ["2145550101", LYRIC]);
+});
+
+test("an event whose assignments are all unknown barbers is a 400", () => {
+  assert.throws(
+    () => planMessages("CLIENT_ASSIGNED", { ...client, assignments: [{ barberId: "nobody" }] }),
+    err => err.httpStatus === 400 && err.fieldErrors[0].field === "payload.assignments[0].barberId"
+  );
+});
+
+test("waitlisting with chosen barbers still tells the client the wait", () => {
+  const out = planMessages("CLIENT_PLACED_ON_WAITLIST", { ...client, indexLabel: 2, assignments: [{ barberId: "mike" }] });
+  assert.equal(out[0].type, "CPW_CLIENT_MULTI");
+  assert.match(out[0].text, /waitlist \(about \d+ min\)\. Mike!/);
+});
+
+test("client texts follow the payload language", () => {
+  const out = planMessages("CLIENT_REMOVED_FROM_KIOSK", { ...client, language: "es-MX" });
+  assert.match(out[0].text, /lista de espera/);
+});
+
+test("an invalid payload is a 400 with field errors", () => {
+  assert.throws(
+    () => planMessages("CLIENT_ASSIGNED", { clientName: "Sam", assignments: [{ barberId: "lyric" }] }),
+    err => err.httpStatus === 400 && err.fieldErrors.some(e => e.field === "payload.clientPhone")
+  );
+});
+
+test("an unknown event type is a 400", () => {
+  assert.throws(() => planMessages("NOT_A_TYPE", client), err => err.httpStatus === 400);
+});
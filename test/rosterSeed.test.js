@@ -0,0 +1,48 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// server.js reads its env at import time (and dotenv never overrides what's already set)
+Object.assign(process.env, {
+  SMS_TRANSPORT: "memory",
+  DATA_DIR: fs.mkdtempSync(path.join(os.tmpdir(), "ek-roster-")),
+  KIOSK_API_URL: "http://127.0.0.1:9/kiosk-api.php",
+  KIOSK_TOKEN: "test-token",
+  // "Red" slugs to the default roster's red; "New Guy" is new; the last two clash with each other
+  BARBER_NUMBERS: "+12145551101:Red,+12145551102:New Guy,+12145551103:Jo,+12145551104:JO",
+  LOG_LEVEL: "error"
+});
+const { app } = await import("../server.js");
+
+let server;
+let barbers;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once("listening", resolve));
+  const res = await fetch(`http://127.0.0.1:${server.address().port}/api/roster?all=1`, {
+    headers: { Authorization: "Bearer test-token" }
+  });
+  ({ barbers } = await res.json());
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test("seeding never creates two barbers with the same id", () => {
+  const ids = barbers.map(b => b.id);
+  assert.equal(new Set(ids).size, ids.length);
+});
+
+test("the default roster wins over a BARBER_NUMBERS name that slugs to its id", () => {
+  const red = barbers.filter(b => b.id === "red");
+  assert.deepEqual(red.map(b => b.phone), ["+12146296917"]);
+  assert.ok(!barbers.some(b => b.phone === "+12145551101"));
+});
+
+test("within BARBER_NUMBERS the first entry wins; others are added", () => {
+  assert.equal(barbers.find(b => b.id === "jo").phone, "+12145551103");
+  assert.ok(!barbers.some(b => b.phone === "+12145551104"));
+  assert.equal(barbers.find(b => b.id === "new-guy").phone, "+12145551102");
+});
@@ -0,0 +1,103 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// server.js reads its env at import time (and dotenv never overrides what's already set)
+Object.assign(process.env, {
+  SMS_TRANSPORT: "memory",
+  DATA_DIR: fs.mkdtempSync(path.join(os.tmpdir(), "ek-schedule-")),
+  KIOSK_API_URL: "http://127.0.0.1:9/kiosk-api.php",
+  KIOSK_TOKEN: "test-token",
+  SHOP_HOURS: "Mon-Sun 00:00-24:00", // always open: the hours themselves are in shopHours.test.js
+  SCHEDULE_POLL_MS: "50",
+  LOG_LEVEL: "error"
+});
+const { app, smsTransport } = await import("../server.js");
+
+const CLIENT = "+12145550701";
+const AUTH = { Authorization: "Bearer test-token" };
+
+let server;
+let base;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once("listening", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  smsTransport.sent.length = 0;
+});
+
+async function api(method, url, body) {
+  const res = await fetch(`${base}${url}`, {
+    method,
+    headers: { ...AUTH, ...(body ? { "Content-Type": "application/json" } : {}) },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: res.status, json: await res.json() };
+}
+
+async function until(check, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) assert.fail("timed out waiting");
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+}
+
+const jobById = async id => (await api("GET", "/api/scheduled?all=1")).json.jobs.find(j => j.id === id);
+
+test("a delayed send is answered 202 and goes out when it's due", async () => {
+  const { status, json } = await api("POST", "/api/send-custom", { to: CLIENT, message: "See you soon", delaySeconds: 1 });
+  assert.equal(status, 202);
+  assert.equal(json.scheduled.kind, "sms");
+  assert.equal(json.scheduled.sendAt, json.scheduled.requestedSendAt);
+  assert.equal(smsTransport.sent.length, 0);
+
+  const job = await until(async () => {
+    const j = await jobById(json.scheduled.id);
+    return j.status === "done" && j;
+  });
+  assert.equal(job.result.status, "sent");
+  assert.deepEqual(smsTransport.sent.map(m => m.text), ["See you soon"]);
+});
+
+test("a scheduled event is planned when it runs", async () => {
+  const { status, json } = await api("POST", "/events", {
+    type: "CLIENT_REMOVED_FROM_KIOSK",
+    payload: { clientName: "Sam", clientPhone: CLIENT },
+    delaySeconds: 1
+  });
+  assert.equal(status, 202);
+  assert.equal(json.scheduled.kind, "event");
+
+  const job = await until(async () => {
+    const j = await jobById(json.scheduled.id);
+    return j.status === "done" && j;
+  });
+  assert.equal(job.result.sent, 1);
+  assert.equal(smsTransport.sent[0].to, CLIENT);
+});
+
+test("a cancelled job never runs", async () => {
+  const { json } = await api("POST", "/api/send-custom", { to: CLIENT, message: "never", delaySeconds: 1 });
+  const cancel = await api("DELETE", `/api/scheduled/${json.scheduled.id}`);
+  assert.deepEqual(cancel.json.canceled, [json.scheduled.id]);
+
+  await new Promise(resolve => setTimeout(resolve, 1300));
+  assert.equal((await jobById(json.scheduled.id)).status, "canceled");
+  assert.equal(smsTransport.sent.length, 0);
+});
+
+test("bad or too-distant times are a 400", async () => {
+  assert.equal((await api("POST", "/api/send-custom", { to: CLIENT, message: "x", sendAt: "soon" })).status, 400);
+  assert.equal((await api("POST", "/api/send-custom", { to: CLIENT, message: "x", delayMinutes: 60 * 24 * 365 })).status, 400);
+});
@@ -0,0 +1,103 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// The main shop is only open 10:00-11:00 UTC three days from now, so it's closed for this whole run
+const DAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const opening = new Date();
+opening.setUTCDate(opening.getUTCDate() + 3);
+opening.setUTCHours(10, 0, 0, 0);
+
+const CLIENT = "+12145550801";
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "ek-hours-"));
+
+// north keeps its own hours (always open); east keeps main's hours, but on Tokyo time
+fs.writeFileSync(path.join(dataDir, "locations.json"), JSON.stringify([
+  {},
+  { id: "north", kioskToken: "north-token", shopHours: "Mon-Sun 00:00-24:00" },
+  { id: "east", kioskToken: "east-token", shopHours: `${DAYS[opening.getUTCDay()]} 10:00-11:00`, shopTimezone: "Asia/Tokyo" }
+]));
+
+// Jobs that came due while the server was down
+const past = new Date(Date.now() - 60 * 1000).toISOString();
+const overdue = (id, location) => ({
+  id, location, status: "pending", kind: "sms",
+  createdAt: past, requestedSendAt: past, sendAt: past,
+  to: CLIENT, text: `overdue ${location}`, eventType: "SEND_CUSTOM", templateType: "CUSTOM"
+});
+fs.writeFileSync(path.join(dataDir, "scheduled.json"), JSON.stringify({
+  jobs: [overdue("overdue-1", "main"), overdue("overdue-2", "north")]
+}));
+
+// server.js reads its env at import time (and dotenv never overrides what's already set)
+Object.assign(process.env, {
+  SMS_TRANSPORT: "memory",
+  DATA_DIR: dataDir,
+  KIOSK_API_URL: "http://127.0.0.1:9/kiosk-api.php",
+  KIOSK_TOKEN: "test-token",
+  SHOP_HOURS: `${DAYS[opening.getUTCDay()]} 10:00-11:00`,
+  SHOP_TIMEZONE: "UTC",
+  SCHEDULE_POLL_MS: "50",
+  LOG_LEVEL: "error"
+});
+const { app, smsTransport } = await import("../server.js");
+
+let server;
+let base;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once("listening", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+async function api(method, url, body, token = "test-token") {
+  const res = await fetch(`${base}${url}`, {
+    method,
+    headers: { Authorization: `Bearer ${token}`, ...(body ? { "Content-Type": "application/json" } : {}) },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: res.status, json: await res.json() };
+}
+
+test("a send scheduled while the shop is closed is moved to the next opening", async () => {
+  const { status, json } = await api("POST", "/api/send-custom", { to: CLIENT, message: "later", delaySeconds: 5 });
+  assert.equal(status, 202);
+  assert.equal(json.scheduled.sendAt, opening.toISOString());
+  assert.notEqual(json.scheduled.requestedSendAt, json.scheduled.sendAt);
+});
+
+test("a job that comes due while its shop is closed is held; another shop's still runs", async () => {
+  await new Promise(resolve => setTimeout(resolve, 200));
+  const { json } = await api("GET", "/api/scheduled");
+  const job = json.jobs.find(j => j.id === "overdue-1");
+  assert.equal(job.status, "pending");
+  assert.equal(job.sendAt, opening.toISOString());
+
+  const { json: north } = await api("GET", "/api/scheduled?all=1", undefined, "north-token");
+  assert.equal(north.jobs.find(j => j.id === "overdue-2").status, "done");
+  assert.deepEqual(smsTransport.sent.map(m => m.text), ["overdue north"]);
+  smsTransport.sent.length = 0;
+});
+
+test("sends that aren't scheduled ignore shop hours", async () => {
+  const { status } = await api("POST", "/api/send-custom", { to: CLIENT, message: "now" });
+  assert.equal(status, 200);
+  assert.deepEqual(smsTransport.sent.map(m => m.text), ["now"]);
+});
+
+test("a location with its own hours schedules by them", async () => {
+  const { json } = await api("POST", "/api/send-custom", { to: CLIENT, message: "north", delaySeconds: 5 }, "north-token");
+  assert.equal(json.scheduled.sendAt, json.scheduled.requestedSendAt);
+});
+
+test("a location with its own time zone opens on its own clock", async () => {
+  const { json } = await api("POST", "/api/send-custom", { to: CLIENT, message: "east", delaySeconds: 5 }, "east-token");
+  const tokyoOpening = new Date(opening);
+  tokyoOpening.setUTCHours(1); // 10:00 in Tokyo (UTC+9)
+  assert.equal(json.scheduled.sendAt, tokyoOpening.toISOString());
+});
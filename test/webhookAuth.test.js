@@ -0,0 +1,99 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// server.js reads its env at import time (and dotenv never overrides what's already set)
+Object.assign(process.env, {
+  SMS_TRANSPORT: "memory",
+  DATA_DIR: fs.mkdtempSync(path.join(os.tmpdir(), "ek-webhook-auth-")),
+  KIOSK_API_URL: "http://127.0.0.1:9/kiosk-api.php",
+  KIOSK_TOKEN: "test-token",
+  INBOUND_WEBHOOK_SECRET: "hook-secret",
+  INBOUND_HMAC_SECRET: "hmac-secret",
+  INBOUND_IP_ALLOWLIST: "127.0.0.0/8",
+  TRUST_PROXY: "loopback", // so X-Forwarded-For can stand in for a caller elsewhere
+  LOG_LEVEL: "error"
+});
+const { app, smsTransport } = await import("../server.js");
+
+const CLIENT = "+12145550301";
+
+let server;
+let base;
+let seq = 0;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once("listening", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  smsTransport.sent.length = 0;
+});
+
+const sign = body => createHmac("sha256", "hmac-secret").update(body).digest("hex");
+
+// A HELP text from CLIENT, correctly authenticated unless a test overrides part of it
+function inbound({ headers = {}, query = "", tamper = false } = {}) {
+  const body = JSON.stringify({ results: [{ from: CLIENT, text: "HELP", messageId: `auth-${++seq}` }] });
+  return fetch(`${base}/webhooks/infobip/inbound-sms${query}`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "x-webhook-secret": "hook-secret",
+      "x-signature": "sha256=" + sign(body),
+      ...headers
+    },
+    body: tamper ? body.replace("HELP", "STOP") : body
+  });
+}
+
+test("a signed request from an allowed address is handled", async () => {
+  const res = await inbound();
+  assert.equal(res.status, 200);
+  assert.match(smsTransport.sent[0].text, /For help/);
+});
+
+test("the signature may also be base64", async () => {
+  const body = JSON.stringify({ results: [{ from: CLIENT, text: "HELP", messageId: `auth-${++seq}` }] });
+  const res = await fetch(`${base}/webhooks/infobip/inbound-sms`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "x-webhook-secret": "hook-secret",
+      "x-signature": createHmac("sha256", "hmac-secret").update(body).digest("base64")
+    },
+    body
+  });
+  assert.equal(res.status, 200);
+});
+
+test("a body that doesn't match its signature is rejected", async () => {
+  const res = await inbound({ tamper: true });
+  assert.equal(res.status, 401);
+  assert.deepEqual(await res.json(), { ok: false, error: "Forbidden" });
+  assert.equal(smsTransport.sent.length, 0);
+});
+
+test("a missing signature is rejected", async () => {
+  const res = await inbound({ headers: { "x-signature": "" } });
+  assert.equal(res.status, 401);
+});
+
+test("a caller outside the allowlist is turned away before anything else", async () => {
+  const res = await inbound({ headers: { "X-Forwarded-For": "203.0.113.9" } });
+  assert.equal(res.status, 403);
+  assert.equal(smsTransport.sent.length, 0);
+});
+
+test("the shared secret only counts in the header, not as ?secret=", async () => {
+  const res = await inbound({ headers: { "x-webhook-secret": "" }, query: "?secret=hook-secret" });
+  assert.equal(res.status, 401);
+  assert.equal(smsTransport.sent.length, 0);
+});